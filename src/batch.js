@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Merges commands from several {@link Device} methods into a single request.
+ *
+ * Created by {@link Device#batch} - Do not instantiate directly.
+ *
+ * Each of the device's batchable methods (such as `getSysInfo` or `getConsumption`) is available on the batch
+ * and returns the batch for chaining. Nothing is sent until {@link #exec} is called.
+ *
+ * The device methods themselves are run, so cached state (`sysInfo`, `consumption`, etc.) is updated
+ * and events are emitted exactly as if the methods had been called individually.
+ */
+class Batch {
+  /**
+   * @param  {Device} device
+   */
+  constructor (device) {
+    this.device = device;
+    this.command = {};
+    this.calls = [];
+    this.captured = [];
+    this.captureError = null;
+    this.executed = false;
+
+    device.batchMethods.forEach((methodName) => {
+      this[methodName] = (...args) => this.add(methodName, ...args);
+    });
+  }
+
+  /**
+   * Adds a call to `device[methodName](...args)` to the batch.
+   * @param  {string} methodName
+   * @param  {...*}   args
+   * @return {Batch}  this
+   */
+  add (methodName, ...args) {
+    if (this.executed) {
+      throw new Error('batch: already executed');
+    }
+    if (!this.device.batchMethods.includes(methodName)) {
+      throw new Error(`batch: ${methodName} can not be batched`);
+    }
+
+    let capturedCount = this.captured.length;
+    let promise;
+    this.device.batchCapture = this;
+    try {
+      promise = this.device[methodName](...args);
+    } finally {
+      this.device.batchCapture = null;
+    }
+    promise.catch(() => {}); // settled in exec
+
+    if (this.captureError) {
+      let err = this.captureError;
+      this.captureError = null;
+      throw err;
+    }
+    if (this.captured.length !== capturedCount + 1) {
+      throw new Error(`batch: ${methodName} did not send exactly one command`);
+    }
+
+    this.calls.push({methodName, promise});
+    return this;
+  }
+
+  /**
+   * Returns a description of the first operation in `command` that was already added with different arguments.
+   * @private
+   */
+  findConflict (command) {
+    let conflict = null;
+    Object.keys(command).forEach((moduleName) => {
+      Object.keys(command[moduleName]).forEach((method) => {
+        let existing = (this.command[moduleName] || {})[method];
+        if (conflict == null && existing !== undefined && JSON.stringify(existing) !== JSON.stringify(command[moduleName][method])) {
+          conflict = `${moduleName}.${method}`;
+        }
+      });
+    });
+    return conflict;
+  }
+
+  /**
+   * Merges `command` into the batch instead of sending it.
+   *
+   * Fulfills with what {@link Device#sendCommand} would for `command` once the batch is executed.
+   * @private
+   */
+  capture (command) {
+    let conflict = this.findConflict(command);
+    if (conflict) {
+      this.captureError = new Error(`batch: ${conflict} already added with different arguments`);
+      return Promise.reject(this.captureError);
+    }
+
+    Object.keys(command).forEach((moduleName) => {
+      this.command[moduleName] = Object.assign(this.command[moduleName] || {}, command[moduleName]);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.captured.push({command, resolve, reject});
+    });
+  }
+
+  /**
+   * Sends all added commands in one request.
+   *
+   * Fulfills with the results of each added method, in the order they were added.
+   * If any method fails, the Promise is rejected with the first error after all methods have settled.
+   * @param  {Object|number} [sendOptions] see {@link Device#send}
+   * @return {Promise<Array, Error>}
+   */
+  async exec (sendOptions) {
+    if (this.executed) {
+      throw new Error('batch: already executed');
+    }
+    this.executed = true;
+    if (this.captured.length === 0) return [];
+
+    if (sendOptions == null || typeof sendOptions === 'number') {
+      sendOptions = {timeout: sendOptions};
+    }
+
+    let results;
+    try {
+      results = await this.device.sendCommand(this.command, Object.assign({}, sendOptions, {partialResults: true}));
+    } catch (err) {
+      this.captured.forEach((c) => c.reject(err));
+    }
+
+    if (results) {
+      this.captured.forEach((c) => {
+        let response = {};
+        let operations = [];
+        Object.keys(c.command).forEach((moduleName) => {
+          response[moduleName] = {};
+          Object.keys(c.command[moduleName]).forEach((method) => {
+            let result = results[moduleName][method];
+            response[moduleName][method] = result.value;
+            operations.push(result);
+          });
+        });
+
+        let failed = operations.find((result) => result.error);
+        if (failed) {
+          c.reject(failed.error);
+        } else if (operations.length === 1) {
+          c.resolve(operations[0].value);
+        } else {
+          c.resolve(response);
+        }
+      });
+    }
+
+    let settled = await Promise.all(this.calls.map((call) => {
+      return call.promise.then((value) => ({value}), (error) => ({error}));
+    }));
+    let failed = settled.find((s) => s.error);
+    if (failed) throw failed.error;
+    return settled.map((s) => s.value);
+  }
+}
+
+module.exports = Batch;
@@ -49,6 +49,10 @@ class Bulb extends Device {
     this.emitEvents();
   }
 
+  get batchMethods () {
+    return super.batchMethods.concat(['getLightState', 'getPowerState']);
+  }
+
   /**
    * @private
    */
@@ -79,10 +83,11 @@ class Bulb extends Device {
    * Get Bulb light state.
    *
    * Requests `lightingservice.get_light_state`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getLightState () {
-    this.lightState = await this.sendCommand('{"smartlife.iot.smartbulb.lightingservice":{"get_light_state":{}}}');
+  async getLightState (sendOptions) {
+    this.lightState = await this.sendCommand('{"smartlife.iot.smartbulb.lightingservice":{"get_light_state":{}}}', sendOptions);
     this.emitEvents();
     return this.lightState;
   }
@@ -99,9 +104,22 @@ class Bulb extends Device {
    * @param  {number}  options.saturation        0-100
    * @param  {number}  options.brightness        0-100
    * @param  {number}  options.color_temp        0-7000 (Kelvin)
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
+   * @throws {CapabilityError} when the bulb does not support `color` (`hue`, `saturation`), `colorTemp` or `dimmable`
+   * @throws {RangeError} when `color_temp` is outside the model's range, see {@link Device#modelInfo}
    */
-  async setLightState (options) {
+  async setLightState (options, sendOptions) {
+    if (options.hue !== undefined || options.saturation !== undefined) this.requireCapability('color', 'bulb.setLightState');
+    if (options.brightness !== undefined) this.requireCapability('dimmable', 'bulb.setLightState');
+    if (options.color_temp) {
+      this.requireCapability('colorTemp', 'bulb.setLightState');
+      const range = (this.modelInfo ? this.modelInfo.colorTempRange : null);
+      if (range && (options.color_temp < range[0] || options.color_temp > range[1])) {
+        throw new RangeError(`bulb.setLightState: color_temp must be from ${range[0]} to ${range[1]} for ${this.model}: ${options.color_temp}`);
+      }
+    }
+
     let state = {};
     state.ignore_default = options.ignore_default || 1;
     state.transition_period = options.transition_period || 0;
@@ -118,7 +136,7 @@ class Bulb extends Device {
       }
     };
 
-    this.lightState = await this.sendCommand(payload);
+    this.lightState = await this.sendCommand(payload, sendOptions);
     this.emitEvents();
     return true;
   }
@@ -126,10 +144,11 @@ class Bulb extends Device {
    * Gets on/off state of Bulb.
    *
    * Requests `lightingservice.get_light_state` and returns true if `on_off === 1`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async getPowerState () {
-    let lightState = await this.getLightState();
+  async getPowerState (sendOptions) {
+    let lightState = await this.getLightState(sendOptions);
     return (lightState.on_off === 1);
   }
   /**
@@ -137,10 +156,11 @@ class Bulb extends Device {
    *
    * Sends `lightingservice.transition_light_state` command with on_off `value`.
    * @param  {boolean}  value true: on, false: off
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async setPowerState (value) {
-    return this.setLightState({on_off: (value ? 1 : 0)});
+  async setPowerState (value, sendOptions) {
+    return this.setLightState({on_off: (value ? 1 : 0)}, sendOptions);
   }
 }
 
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Derives what a device can do from its `sysInfo` and a table of known models.
+ *
+ * Capabilities:
+ * - `'emeter'`: energy monitoring (`feature` includes `ENE`, and all bulbs)
+ * - `'timer'`: countdown timer rules (`feature` includes `TIM`)
+ * - `'led'`: LED (night mode) can be turned off (`led_off`)
+ * - `'dimmable'`: brightness (`is_dimmable`, or `brightness` for dimmer switches)
+ * - `'color'`: hue and saturation (`is_color`)
+ * - `'colorTemp'`: white color temperature (`is_variable_color_temp`, or a known color temperature range)
+ * - `'children'`: outlets (`children`)
+ * - `'segments'`: separately colored segments (`length`)
+ * - `'lightingEffects'`: lighting effects (`lighting_effect_state`)
+ * @module capabilities
+ */
+
+/**
+ * Known models by model number, without hardware region (such as `'(US)'`).
+ * @private
+ */
+const MODELS = {
+  HS100: {friendlyName: 'Smart Wi-Fi Plug'},
+  HS103: {friendlyName: 'Smart Wi-Fi Plug Lite'},
+  HS105: {friendlyName: 'Smart Wi-Fi Plug Mini'},
+  HS107: {friendlyName: 'Smart Wi-Fi Plug, 2-Outlets'},
+  HS110: {friendlyName: 'Smart Wi-Fi Plug with Energy Monitoring'},
+  HS200: {friendlyName: 'Smart Wi-Fi Light Switch'},
+  HS210: {friendlyName: 'Smart Wi-Fi 3-Way Light Switch'},
+  HS220: {friendlyName: 'Smart Wi-Fi Light Switch, Dimmer'},
+  HS300: {friendlyName: 'Smart Wi-Fi Power Strip'},
+  KP100: {friendlyName: 'Smart Wi-Fi Plug Slim'},
+  KP105: {friendlyName: 'Smart Wi-Fi Plug Slim'},
+  KP115: {friendlyName: 'Smart Wi-Fi Plug Slim with Energy Monitoring'},
+  KP303: {friendlyName: 'Smart Wi-Fi Power Strip, 3-Outlets'},
+  KP400: {friendlyName: 'Smart Outdoor Plug'},
+  LB100: {friendlyName: 'Smart Wi-Fi LED Bulb with Dimmable Light'},
+  LB110: {friendlyName: 'Smart Wi-Fi LED Bulb with Dimmable Light'},
+  LB120: {friendlyName: 'Smart Wi-Fi LED Bulb with Tunable White Light', colorTempRange: [2700, 6500]},
+  LB130: {friendlyName: 'Smart Wi-Fi LED Bulb with Color Changing', colorTempRange: [2500, 9000]},
+  LB230: {friendlyName: 'Smart Wi-Fi LED Bulb with Color Changing, BR30', colorTempRange: [2500, 9000]},
+  KL50: {friendlyName: 'Kasa Filament Smart Bulb, Soft White'},
+  KL60: {friendlyName: 'Kasa Filament Smart Bulb, Warm Amber'},
+  KL110: {friendlyName: 'Kasa Smart Wi-Fi Light Bulb, Dimmable'},
+  KL120: {friendlyName: 'Kasa Smart Wi-Fi Light Bulb, Tunable White', colorTempRange: [2700, 6500]},
+  KL125: {friendlyName: 'Kasa Smart Wi-Fi Light Bulb, Multicolor', colorTempRange: [2500, 6500]},
+  KL130: {friendlyName: 'Kasa Smart Wi-Fi Light Bulb, Multicolor', colorTempRange: [2500, 9000]},
+  KL400: {friendlyName: 'Kasa Smart Light Strip, Multicolor', colorTempRange: [2500, 9000]},
+  KL420: {friendlyName: 'Kasa Smart Light Strip, Multicolor', colorTempRange: [2500, 6500]},
+  KL430: {friendlyName: 'Kasa Smart Light Strip, Multicolor', colorTempRange: [2500, 9000]}
+};
+
+/**
+ * Returns what is known about `model` (such as `'HS110(US)'` or `'KL400L5(US)'`), or `null` for an unknown model.
+ * @static
+ * @param  {string} model
+ * @return {?Object} `{model, friendlyName, colorTempRange}`, `colorTempRange` is `[min, max]` (Kelvin) if the model has white color temperature
+ */
+function getModelInfo (model) {
+  if (typeof model !== 'string') return null;
+  const modelNumber = model.split('(')[0].toUpperCase();
+  // Longest match first, so variants such as KL400L5 are found
+  const key = Object.keys(MODELS)
+    .filter((k) => modelNumber.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  if (key == null) return null;
+  return Object.assign({model: key, colorTempRange: null}, MODELS[key]);
+}
+
+/**
+ * Returns the capabilities (see above) of the device that reported `sysInfo`.
+ * @static
+ * @param  {Object} sysInfo
+ * @return {string[]}
+ */
+function capabilitiesFromSysInfo (sysInfo) {
+  const feature = sysInfo.feature || '';
+  const isBulb = (sysInfo.type || sysInfo.mic_type || '').toUpperCase().includes('BULB');
+  const modelInfo = getModelInfo(sysInfo.model);
+  const checks = {
+    emeter: isBulb || feature.includes('ENE'),
+    timer: feature.includes('TIM'),
+    led: sysInfo.led_off != null,
+    dimmable: sysInfo.is_dimmable === 1 || sysInfo.brightness != null,
+    color: sysInfo.is_color === 1,
+    colorTemp: sysInfo.is_variable_color_temp === 1 || (isBulb && sysInfo.is_variable_color_temp == null && modelInfo != null && modelInfo.colorTempRange != null),
+    children: Array.isArray(sysInfo.children) && sysInfo.children.length > 0,
+    segments: sysInfo.length != null,
+    lightingEffects: sysInfo.lighting_effect_state != null
+  };
+  return Object.keys(checks).filter((capability) => checks[capability]);
+}
+
+module.exports = {
+  getModelInfo,
+  capabilitiesFromSysInfo
+};
@@ -1,16 +1,60 @@
 'use strict';
 
 const dgram = require('dgram');
-const net = require('net');
 const EventEmitter = require('events');
-const util = require('util');
 
 const Device = require('./device');
 const Plug = require('./plug');
 const Bulb = require('./bulb');
-const encryptWithHeader = require('./tplink-crypto').encryptWithHeader;
+const PowerStrip = require('./power-strip');
+const Dimmer = require('./dimmer');
+const LightStrip = require('./light-strip');
+const TcpConnection = require('./tcp-connection').TcpConnection;
+const TcpOneShotConnection = require('./tcp-connection').TcpOneShotConnection;
+const UdpConnection = require('./udp-connection').UdpConnection;
+const Recording = require('./recording').Recording;
+const RecordingTransport = require('./recording').RecordingTransport;
+const ReplayTransport = require('./recording').ReplayTransport;
+const ResponseError = require('./utils').ResponseError;
+const TimeoutError = require('./utils').TimeoutError;
+const ConnectionError = require('./utils').ConnectionError;
+const ParseError = require('./utils').ParseError;
+const AbortError = require('./utils').AbortError;
+const delay = require('./utils').delay;
+const isIdempotent = require('./utils').isIdempotent;
 const encrypt = require('./tplink-crypto').encrypt;
 const decrypt = require('./tplink-crypto').decrypt;
+const indexToTimeZone = require('./timezone').indexToTimeZone;
+
+/**
+ * Sends requests to a single device (`host:port`).
+ *
+ * Created by the factories given to {@link Client#registerTransport}.
+ * The built in `'tcp'` and `'udp'` transports encrypt requests with {@link module:tplink-crypto}.
+ * @interface Transport
+ */
+/**
+ * Called once before the first request.
+ * @function
+ * @name Transport#open
+ * @return {Promise}
+ */
+/**
+ * Sends `payload` and fulfills with the device's (decrypted) response.
+ * @function
+ * @name Transport#request
+ * @param  {string}      payload JSON string
+ * @param  {Object}      [options]
+ * @param  {number}      [options.timeout] (ms)
+ * @param  {AbortSignal} [options.signal]
+ * @return {Promise<string, Error>} JSON string
+ */
+/**
+ * Called when the transport is no longer needed, pending requests should be rejected.
+ * @function
+ * @name Transport#close
+ * @return {Promise}
+ */
 
 /**
  * Client that sends commands to specified devices or discover devices on the local subnet.
@@ -22,19 +66,93 @@ class Client extends EventEmitter {
   /**
    * @param  {Object} options
    * @param  {number} [options.timeout=5000] default timeout for network operations
+   * @param  {number} [options.maxResponseSize=1048576] largest TCP response (in bytes) that will be accepted
+   * @param  {boolean} [options.persistentConnection=false] keep one socket open per device and queue requests, see {@link #send}
+   * @param  {number} [options.idleTimeout=10000] (ms) close a persistent connection after no activity, `0` to keep open
+   * @param  {number} [options.maxQueueDepth=100] reject requests when this many are pending on a persistent connection
+   * @param  {string|Function} [options.transport='tcp'] default transport for {@link #send}: 'tcp', 'udp', a name given to {@link #registerTransport} or a transport factory
+   * @param  {number} [options.udpRetries=2] times an unanswered UDP request is resent within its timeout
+   * @param  {Object} [options.retry] default retry policy for {@link #send}
+   * @param  {number} [options.retry.maxAttempts=1] total attempts, `1` disables retries
+   * @param  {number} [options.retry.minDelay=100] (ms) delay before the first retry
+   * @param  {number} [options.retry.maxDelay=5000] (ms) largest delay between attempts
+   * @param  {number} [options.retry.factor=2] delay is multiplied by this after each attempt
+   * @param  {number} [options.retry.jitter=0.5] fraction (0-1) of each delay that is randomized
+   * @param  {Array<string|Function>|Function} [options.retry.retryOn=[TimeoutError, ConnectionError]] error `code`s or Error classes that are retried, or a `function (err)` returning true to retry
+   * @param  {boolean} [options.retry.retryNonIdempotent=false] also retry commands that change device state
+   * @param  {string|Recording} [options.recordTo] fixture file (or {@link Recording}) to record every request and response to, see {@link #recording}
+   * @param  {string|Recording} [options.replayFrom] fixture file (or {@link Recording}) to answer requests from instead of the network
+   * @param  {boolean} [options.replayLatency=false] when replaying, wait for each response's recorded latency
    * @param  {string} [options.logLevel]       level for built in logger ['error','warn','info','debug','trace']
    */
-  constructor ({timeout = 5000, logLevel, logger} = {}) {
+  constructor ({timeout = 5000, maxResponseSize = 1048576, persistentConnection = false, idleTimeout = 10000, maxQueueDepth = 100, transport = 'tcp', udpRetries = 2, retry, recordTo, replayFrom, replayLatency = false, logLevel, logger} = {}) {
     super();
     this.timeout = timeout;
+    this.maxResponseSize = maxResponseSize;
+    this.persistentConnection = persistentConnection;
+    this.idleTimeout = idleTimeout;
+    this.maxQueueDepth = maxQueueDepth;
+    this.transport = transport;
+    this.udpRetries = udpRetries;
+    this.retry = Object.assign({}, defaultRetryPolicy, retry);
     this.log = require('./logger')({level: logLevel, logger: logger});
 
+    /**
+     * Requests recorded (with `recordTo`) or being replayed (with `replayFrom`), otherwise `null`.
+     *
+     * Discovery is not recorded.
+     * @type {?Recording}
+     */
+    this.recording = null;
+    this.replaying = false;
+    this.replayLatency = replayLatency;
+    if (replayFrom != null) {
+      this.recording = (replayFrom instanceof Recording ? replayFrom : Recording.load(replayFrom));
+      this.replaying = true;
+    } else if (recordTo != null) {
+      this.recording = (recordTo instanceof Recording ? recordTo : new Recording({file: recordTo}));
+    }
+
     this.devices = new Map();
+    this.connections = new Map();
+    this.connectionsOpening = new WeakMap();
+    this.transports = new Map([
+      ['tcp', ({host, port, persistentConnection}) => {
+        if (persistentConnection) {
+          return new TcpConnection({host, port, log: this.log, idleTimeout: this.idleTimeout, maxQueueDepth: this.maxQueueDepth, maxResponseSize: this.maxResponseSize});
+        }
+        return new TcpOneShotConnection({host, port, log: this.log, maxResponseSize: this.maxResponseSize});
+      }],
+      ['udp', ({host, port}) => new UdpConnection({host, port, log: this.log, retries: this.udpRetries})]
+    ]);
     this.discoveryTimer = null;
     this.discoveryPacketSequence = 0;
+
+    /**
+     * Device types tried by {@link #getDeviceFromSysInfo}, in order, see {@link #registerDeviceType}.
+     * @private
+     */
+    this.deviceTypes = [];
+    this.registerDeviceType({name: 'plug', match: (sysInfo) => this.getTypeFromSysInfo(sysInfo) === 'plug', create: (options) => this.getPlug(options)});
+    this.registerDeviceType({name: 'bulb', match: (sysInfo) => this.getTypeFromSysInfo(sysInfo) === 'bulb', create: (options) => this.getBulb(options)});
+    this.registerDeviceType({
+      name: 'powerstrip',
+      match: (sysInfo) => this.getTypeFromSysInfo(sysInfo) === 'plug' && Array.isArray(sysInfo.children) && sysInfo.children.length > 0,
+      create: (options) => this.getPowerStrip(options)
+    });
+    this.registerDeviceType({
+      name: 'dimmer',
+      match: (sysInfo) => this.getTypeFromSysInfo(sysInfo) === 'plug' && sysInfo.brightness != null,
+      create: (options) => this.getDimmer(options)
+    });
+    this.registerDeviceType({
+      name: 'lightstrip',
+      match: (sysInfo) => this.getTypeFromSysInfo(sysInfo) === 'bulb' && (sysInfo.length != null || /^KL4\d0/.test(sysInfo.model)),
+      create: (options) => this.getLightStrip(options)
+    });
   }
   /**
-   * {@link module:tplink-crypto Encrypts} `payload` and sends (via TCP) to device.
+   * {@link module:tplink-crypto Encrypts} `payload` and sends (via TCP or UDP) to device.
    * - If `payload` is not a string, it is `JSON.stringify`'d.
    * - Promise fulfills with parsed JSON response.
    *
@@ -51,77 +169,214 @@ class Client extends EventEmitter {
    *     }}}`
    *
    * All responses contain an `err_code` (`0` is success).
+   *
+   * TCP responses are framed with a 4 byte big-endian length header. Data is
+   * buffered until the whole frame has arrived; the Promise is rejected if the
+   * connection closes early, the header exceeds `maxResponseSize` or
+   * bytes arrive beyond the frame.
+   *
+   * With `persistentConnection` one socket is kept open per `host:port` and requests to it are
+   * sent one at a time in the order they were made. The socket is reopened as needed after
+   * it is closed for being idle or by an error. Use {@link #closeConnections} to close them.
+   *
+   * With `transport` `'udp'` the request is sent without a length header and is resent
+   * (see `udpRetries`) until a matching reply arrives or `timeout` is reached.
+   * This is cheaper for frequent polling, but UDP replies must fit in a single datagram.
+   *
+   * Other transports (such as a tunnel or an in-memory fake) can be added with {@link #registerTransport}.
+   *
+   * Failed attempts are retried according to the `retry` policy (see {@link Client#constructor}).
+   * Only idempotent commands (where every method starts with `get_`) are retried unless
+   * `idempotent` is set or the policy has `retryNonIdempotent`.
+   * When retries are exhausted the last error is rejected with an `attempts` property
+   * listing `{attempt, error}` for every attempt.
+   *
+   * If `signal` is aborted the socket is destroyed, no further attempts are made and the Promise
+   * is rejected with {@link AbortError}.
    * @param  {Object} options
    * @param  {string} options.host
    * @param  {number} [options.port=9999]
    * @param  {Object|string} options.payload
    * @param  {number} [options.timeout=this.timeout]
+   * @param  {boolean} [options.persistentConnection=this.persistentConnection]
+   * @param  {string|Function} [options.transport=this.transport] 'tcp', 'udp', a name given to {@link #registerTransport} or a transport factory
+   * @param  {Object} [options.retry] overrides properties of this client's `retry` policy
+   * @param  {boolean} [options.idempotent] override whether `payload` is safe to retry
+   * @param  {AbortSignal} [options.signal] cancels the request when aborted
    * @return {Promise<Object, Error>}
    */
-  send ({host, port = 9999, payload, timeout = this.timeout}) {
+  async send ({host, port = 9999, payload, timeout = this.timeout, persistentConnection = this.persistentConnection, transport = this.transport, retry, idempotent, signal}) {
     this.log.debug('client.send(%j)', arguments[0]);
-    return new Promise((resolve, reject) => {
-      let payloadString = (!(typeof payload === 'string' || payload instanceof String) ? JSON.stringify(payload) : payload);
-
-      this.log.debug('client.send: socket: attempting to open. host:%s, port:%s', host, port);
-      let socket = net.connect(port, host);
-      socket.setKeepAlive(false);
-
-      let timer;
-      if (timeout > 0) {
-        socket.setTimeout(timeout);
-        timer = setTimeout(() => {
-          this.log.debug('client.send: timeout(%s)', timeout);
-          socket.end();
-          socket.destroy(new Error(`client.send: timeout ${timeout}`));
-        }, timeout);
-      }
-
-      let deviceData = '';
-
-      socket.on('connect', () => {
-        this.log.debug('client.send: socket on connect');
-        if (timer) { clearTimeout(timer); }
-        socket.write(encryptWithHeader(payloadString));
-      });
+    let payloadString = (!(typeof payload === 'string' || payload instanceof String) ? JSON.stringify(payload) : payload);
 
-      socket.on('data', (data) => {
-        this.log.debug('client.send: socket on data');
-        deviceData += decrypt(data.slice(4)).toString('ascii');
-        socket.end();
-      });
+    let policy = Object.assign({}, this.retry, retry);
+    if (idempotent == null) idempotent = isIdempotent(payloadString);
+    let maxAttempts = ((idempotent || policy.retryNonIdempotent) ? Math.max(policy.maxAttempts, 1) : 1);
 
-      socket.on('end', () => {
-        this.log.debug('client.send: socket on end');
-        let data;
-        try {
-          data = JSON.parse(deviceData);
-        } catch (e) {
-          data = deviceData;
+    let attempts = [];
+    for (let attempt = 1; ; attempt++) {
+      if (maxAttempts > 1) {
+        this.log.debug('client.send: attempt %s/%s to %s:%s', attempt, maxAttempts, host, port);
+      }
+      try {
+        if (signal && signal.aborted) {
+          throw new AbortError('client.send: aborted', {reason: signal.reason});
         }
-        if (!data.err_code || data.err_code === 0) {
-          resolve(data);
-        } else {
-          let errMsg = util.format('client.send: invalid response: %s', data);
-          this.log.error(errMsg);
-          reject(new Error(errMsg));
+        return await this.sendAttempt({host, port, payloadString, timeout, persistentConnection, transport, signal});
+      } catch (err) {
+        attempts.push({attempt, error: err});
+        if (attempt >= maxAttempts || err instanceof AbortError || !shouldRetry(policy, err)) {
+          if (maxAttempts > 1) {
+            this.log.debug('client.send: giving up after %s attempt(s)', attempt);
+          }
+          err.attempts = attempts;
+          throw err;
         }
-      });
-
-      socket.on('timeout', () => {
-        this.log.debug('client.send: socket on timeout %s', timeout);
-        if (timer) { clearTimeout(timer); }
-        socket.destroy(new Error(`client.send: socket on timeout ${timeout}`));
-      });
+        let ms = retryDelay(policy, attempt);
+        this.log.warn('client.send: attempt %s/%s to %s:%s failed: %s, retrying in %sms', attempt, maxAttempts, host, port, err.message, ms);
+        try {
+          await delay(ms, signal);
+        } catch (abortErr) {
+          abortErr.attempts = attempts;
+          throw abortErr;
+        }
+      }
+    }
+  }
+  /**
+   * Sends `payloadString` once over `transport` and parses the response.
+   * @private
+   */
+  sendAttempt ({host, port, payloadString, timeout, persistentConnection, transport, signal}) {
+    let request;
+    try {
+      if (persistentConnection) {
+        let connection = this.getConnection({host, port, transport});
+        request = this.connectionsOpening.get(connection)
+          .then(() => connection.request(payloadString, {timeout, signal}));
+      } else {
+        request = this.requestOnce({host, port, payloadString, timeout, transport, signal});
+      }
+    } catch (err) {
+      request = Promise.reject(err);
+    }
 
-      socket.on('error', (err) => {
-        this.log.debug('client.send: socket on error');
-        this.log.error('TPLink Device TCP Error: %s', err);
-        if (timer) { clearTimeout(timer); }
-        socket.destroy();
-        reject(err);
+    return request.then((deviceData) => {
+      let data;
+      try {
+        data = JSON.parse(deviceData);
+      } catch (e) {
+        throw new ParseError(`client.send: could not parse response: ${e.message}`, {response: deviceData});
+      }
+      if (data == null || typeof data !== 'object') {
+        throw new ParseError('client.send: response is not an object', {response: deviceData});
+      }
+      if (!data.err_code || data.err_code === 0) {
+        return data;
+      }
+      throw new ResponseError('client.send: invalid response', data, {host, port});
+    }).catch((err) => {
+      // Socket level errors don't know which device they came from
+      if (err.host === undefined) {
+        err.host = host;
+        err.port = port;
+      }
+      throw err;
+    });
+  }
+  /**
+   * Creates a transport for a single request: opens it, sends `payloadString` and closes it.
+   * @private
+   */
+  async requestOnce ({host, port, payloadString, timeout, transport, signal}) {
+    let connection = this.createTransport({host, port, transport, persistentConnection: false});
+    try {
+      await connection.open();
+      return await connection.request(payloadString, {timeout, signal});
+    } finally {
+      await connection.close();
+    }
+  }
+  /**
+   * Registers a transport that can be used by name with the `transport` option of {@link #send} and devices.
+   *
+   * `'tcp'` (the default) and `'udp'` are registered by default and may be replaced.
+   *
+   * `factory` is called with `{host, port, persistentConnection, log, client}` and must return a {@link Transport}.
+   * When `persistentConnection` is true the transport is kept and reused for every request to `host:port`
+   * until {@link #closeConnections} is called, otherwise a new one is created (and closed) for each request.
+   * @param  {string}   name
+   * @param  {Function} factory
+   */
+  registerTransport (name, factory) {
+    if (typeof factory !== 'function') {
+      throw new TypeError('client.registerTransport: factory must be a function');
+    }
+    this.log.debug('client.registerTransport(%s)', name);
+    this.transports.set(name, factory);
+  }
+  /**
+   * Returns the factory for `transport`, a registered name or a factory function.
+   * @private
+   */
+  getTransportFactory (transport) {
+    if (typeof transport === 'function') return transport;
+    let factory = this.transports.get(transport);
+    if (factory == null) {
+      throw new Error(`client.send: unknown transport: ${transport}`);
+    }
+    return factory;
+  }
+  /**
+   * @private
+   */
+  createTransport ({host, port, transport, persistentConnection}) {
+    let factory = this.getTransportFactory(transport);
+    if (this.replaying) {
+      return new ReplayTransport({host, port, recording: this.recording, latency: this.replayLatency, log: this.log});
+    }
+    let connection = factory({host, port, persistentConnection, log: this.log, client: this});
+    if (this.recording) {
+      connection = new RecordingTransport({host, port, transport: connection, recording: this.recording, log: this.log});
+    }
+    return connection;
+  }
+  /**
+   * Returns the persistent connection for `host:port` over `transport`, creating (and opening) it if needed.
+   * @private
+   */
+  getConnection ({host, port = 9999, transport = this.transport}) {
+    let factory = this.getTransportFactory(transport);
+    let connections = this.connections.get(factory);
+    if (connections == null) {
+      connections = new Map();
+      this.connections.set(factory, connections);
+    }
+    let key = `${host}:${port}`;
+    let connection = connections.get(key);
+    if (connection == null) {
+      connection = this.createTransport({host, port, transport: factory, persistentConnection: true});
+      connections.set(key, connection);
+      let opening = Promise.resolve().then(() => connection.open());
+      opening.catch(() => {
+        // Open again on next request
+        if (connections.get(key) === connection) connections.delete(key);
       });
+      this.connectionsOpening.set(connection, opening);
+    }
+    return connection;
+  }
+  /**
+   * Closes all persistent connections opened by {@link #send}.
+   *
+   * Pending requests are rejected.
+   */
+  closeConnections () {
+    this.log.debug('client.closeConnections()');
+    this.connections.forEach((connections) => {
+      connections.forEach((connection) => connection.close());
     });
+    this.connections.clear();
   }
   /**
    * Requests `{system:{get_sysinfo:{}}}` from device.
@@ -129,11 +384,12 @@ class Client extends EventEmitter {
    * @param  {string}  options.host
    * @param  {number}  [options.port=9999]
    * @param  {number}  [options.timeout=this.timeout] timeout for request
+   * @param  {string|Function}  [options.transport=this.transport] see {@link #send}
    * @return {Promise<Object, Error>} parsed JSON response
    */
-  async getSysInfo ({host, port = 9999, timeout = this.timeout}) {
-    this.log.debug('client.getSysInfo(%j)', {host, port, timeout});
-    let data = await this.send({host, port, payload: '{"system":{"get_sysinfo":{}}}', timeout});
+  async getSysInfo ({host, port = 9999, timeout = this.timeout, transport = this.transport}) {
+    this.log.debug('client.getSysInfo(%j)', {host, port, timeout, transport});
+    let data = await this.send({host, port, payload: '{"system":{"get_sysinfo":{}}}', timeout, transport});
     return data.system.get_sysinfo;
   }
   /**
@@ -150,6 +406,17 @@ class Client extends EventEmitter {
       super.emit(eventName, ...args);
     }
   }
+  /**
+   * Emits `eventName` for `device`, then for each of its outlets (with the same `status`) if it is a {@link PowerStrip}.
+   * @private
+   */
+  emitWithOutlets (eventName, device) {
+    this.emit(eventName, device);
+    (device.outlets || []).forEach((outlet) => {
+      outlet.status = device.status;
+      this.emit(eventName, outlet);
+    });
+  }
   /**
    * Create {@link Device} object.
    * - Device object only supports common Device methods.
@@ -187,11 +454,47 @@ class Client extends EventEmitter {
   }
 
   /**
-   * Creates a {@link Plug} or {@link Bulb} after querying device to determine type.
+   * Creates {@link LightStrip} object.
+   *
+   * See {@link Device#constructor} and {@link LightStrip#constructor} for valid options.
+   * @param  {Object} options passed to {@link LightStrip#constructor}
+   * @return {LightStrip}
+   */
+  getLightStrip (options) {
+    options = Object.assign({}, options, {client: this});
+    return new LightStrip(options);
+  }
+
+  /**
+   * Creates {@link Dimmer} object.
+   *
+   * See {@link Device#constructor}, {@link Plug#constructor} and {@link Dimmer#constructor} for valid options.
+   * @param  {Object} options passed to {@link Dimmer#constructor}
+   * @return {Dimmer}
+   */
+  getDimmer (options) {
+    options = Object.assign({}, options, {client: this});
+    return new Dimmer(options);
+  }
+
+  /**
+   * Creates {@link PowerStrip} object.
+   *
+   * See {@link Device#constructor} and {@link PowerStrip#constructor} for valid options.
+   * @param  {Object} options passed to {@link PowerStrip#constructor}
+   * @return {PowerStrip}
+   */
+  getPowerStrip (options) {
+    options = Object.assign({}, options, {client: this});
+    return new PowerStrip(options);
+  }
+
+  /**
+   * Creates a device after querying it to determine its type, see {@link #getDeviceFromSysInfo}.
    *
    * See {@link Device#constructor}, {@link Bulb#constructor}, {@link Plug#constructor} for valid options.
    * @param  {Object}  options passed to {@link Device#constructor}
-   * @return {Promise<Plug|Bulb, Error>}
+   * @return {Promise<Device, Error>}
    */
   async getDevice (options) {
     options = Object.assign({}, options, {client: this});
@@ -200,34 +503,77 @@ class Client extends EventEmitter {
   }
 
   /**
+   * Registers a device type, used by {@link #getDevice}, {@link #getDeviceFromSysInfo} and discovery
+   * to create devices whose `sysInfo` it matches.
+   *
+   * Types are tried in order of `priority` (highest first), then most recently registered first. So a type registered
+   * with the default priority is tried before the built in types: `'plug'`, `'bulb'`, `'powerstrip'`, `'dimmer'` and
+   * `'lightstrip'` (all priority `0`). Registering a type with the name of an existing type (case insensitive) replaces it.
+   *
+   * `create` is called with the device options (including `client` and `sysInfo`) and should return a {@link Device}.
+   * @example
+   * class MyPlug extends require('hs100-api').Plug {}
+   * client.registerDeviceType({
+   *   name: 'myplug',
+   *   match: (sysInfo) => sysInfo.model.startsWith('HS110'),
+   *   create: (options) => new MyPlug(options)
+   * });
+   * @param  {Object}   deviceType
+   * @param  {string}   deviceType.name      also used by {@link #getDeviceFromType}
+   * @param  {Function} deviceType.match     `function (sysInfo)` returning true for devices of this type
+   * @param  {Function} deviceType.create    `function (options)` returning a new device
+   * @param  {number}   [deviceType.priority=0]
+   * @throws {TypeError} when `deviceType` is invalid
+   */
+  registerDeviceType ({name, match, create, priority = 0} = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('client.registerDeviceType: name must be a non-empty string');
+    }
+    if (typeof match !== 'function' || typeof create !== 'function') {
+      throw new TypeError('client.registerDeviceType: match and create must be functions');
+    }
+    if (typeof priority !== 'number' || isNaN(priority)) {
+      throw new TypeError('client.registerDeviceType: priority must be a number');
+    }
+    this.log.debug('client.registerDeviceType(%s, %s)', name, priority);
+    this.deviceTypes = this.deviceTypes.filter((t) => t.name.toLowerCase() !== name.toLowerCase());
+    let index = this.deviceTypes.findIndex((t) => t.priority <= priority);
+    this.deviceTypes.splice((index === -1 ? this.deviceTypes.length : index), 0, {name, match, create, priority});
+  }
+
+  /**
+   * Creates device of the type registered as `typeName` (see {@link #registerDeviceType}), or a generic {@link Device}
+   * if there is none.
    * @private
    */
   getDeviceFromType (typeName, options) {
     if (typeof typeName === 'function') {
       typeName = typeName.name;
     }
-    switch (typeName.toLowerCase()) {
-      case 'plug': return this.getPlug(options);
-      case 'bulb': return this.getBulb(options);
-      default: return this.getPlug(options);
-    }
+    const deviceType = this.deviceTypes.find((t) => t.name.toLowerCase() === typeName.toLowerCase());
+    if (deviceType == null) return this.getGeneralDevice(options);
+    return deviceType.create(Object.assign({}, options, {client: this}));
   }
 
   /**
-   * Creates device corresponding to the provided `sysInfo`.
+   * Creates device corresponding to the provided `sysInfo`, using the first registered type that matches it
+   * (see {@link #registerDeviceType}).
+   *
+   * Plugs with `children` (such as HS300) are created as a {@link PowerStrip}, those with `brightness` (HS220) as a {@link Dimmer}.
+   * Bulbs with `length` or a KL4x0 `model` are created as a {@link LightStrip}.
+   * Devices that no type matches are created as a generic {@link Device}, which can still send commands with {@link Device#sendCommand}.
    *
    * See {@link Device#constructor}, {@link Bulb#constructor}, {@link Plug#constructor} for valid options
    * @param  {Object} sysInfo
    * @param  {Object} options passed to device constructor
-   * @return {Plug|Bulb}
+   * @return {Device}
    */
   getDeviceFromSysInfo (sysInfo, options) {
-    options = Object.assign({}, options, {sysInfo: sysInfo});
-    switch (this.getTypeFromSysInfo(sysInfo)) {
-      case 'plug': return this.getPlug(options);
-      case 'bulb': return this.getBulb(options);
-      default: return this.getPlug(options);
-    }
+    options = Object.assign({}, options, {sysInfo: sysInfo, client: this});
+    const deviceType = this.deviceTypes.find((t) => t.match(sysInfo));
+    if (deviceType == null) return this.getGeneralDevice(options);
+    this.log.debug('client.getDeviceFromSysInfo(): %s matched %s', sysInfo.alias, deviceType.name);
+    return deviceType.create(options);
   }
 
   /**
@@ -244,6 +590,98 @@ class Client extends EventEmitter {
     }
     return 'device';
   }
+  /**
+   * Checks the clock of every known device (see {@link #startDiscovery}) and sets it to this host's time
+   * when it is off by more than `maxDrift`.
+   *
+   * `drift` (ms) is the device's time minus this host's time, measured half way through the `get_time` request.
+   * Devices report whole seconds, so `drift` is only accurate to about a second.
+   * Device clocks are read and set in the device's time zone (see {@link Device#getTimeZone}), devices with an unknown
+   * timezone index are not set and have `error` set.
+   * Devices that are offline are skipped, devices that fail have `error` set.
+   * @param  {Object}   [options]
+   * @param  {number}   [options.maxDrift=2000]  (ms) set clocks that are off by more than this
+   * @param  {Device[]} [options.devices]         defaults to all discovered devices
+   * @param  {Object}   [options.sendOptions]     see {@link Device#send}
+   * @return {Promise<Object[]>} `{device, drift, synced, error}` for each device
+   */
+  async syncClocks ({maxDrift = 2000, devices, sendOptions} = {}) {
+    if (devices == null) {
+      devices = Array.from(this.devices.values()).filter((device) => device.status !== 'offline');
+    }
+    this.log.debug('client.syncClocks(%j) %s device(s)', {maxDrift}, devices.length);
+    return Promise.all(devices.map(async (device) => {
+      let result = {device, drift: null, synced: false};
+      try {
+        let timeZone = indexToTimeZone((await device.getTimeZone(sendOptions)).index);
+        let start = Date.now();
+        let deviceTime = await device.getTime({asDate: true, timeZone}, sendOptions);
+        result.drift = deviceTime.getTime() - Math.round((start + Date.now()) / 2);
+        if (Math.abs(result.drift) > maxDrift) {
+          await device.setTime(new Date(), sendOptions);
+          result.synced = true;
+        }
+      } catch (err) {
+        this.log.debug('client.syncClocks: [%s] %s', device.name, err.message);
+        result.error = err;
+      }
+      return result;
+    }));
+  }
+
+  /**
+   * Puts a factory reset (or newly unboxed) device onto a WiFi network.
+   *
+   * Connect this host to the device's own access point (such as `TP-LINK_Smart Plug_XXXX`) first.
+   * The device is contacted at its access point address (`host`), told to {@link Device#joinNetwork},
+   * then this host should reconnect to `ssid` and the device is looked for with discovery until `discoveryTimeout`.
+   * Discovery is started with `discoveryOptions` (and stopped again) if it isn't already running.
+   * @param  {Object}        options
+   * @param  {string}        options.ssid
+   * @param  {string}        [options.password]
+   * @param  {number|string} [options.keyType=3]            see {@link Device#joinNetwork}
+   * @param  {string}        [options.host='192.168.0.1']   device's address on its own access point
+   * @param  {number}        [options.port=9999]
+   * @param  {number}        [options.discoveryTimeout=60000] (ms)
+   * @param  {Object}        [options.discoveryOptions]     passed to {@link #startDiscovery}
+   * @param  {Object}        [options.sendOptions]          see {@link Device#send}
+   * @return {Promise<Device|Bulb|Plug, Error>} the device as found by discovery on the new network
+   */
+  async provision ({ssid, password, keyType = 3, host = '192.168.0.1', port = 9999, discoveryTimeout = 60000, discoveryOptions = {}, sendOptions} = {}) {
+    this.log.debug('client.provision(%j)', {ssid, keyType, host, port, discoveryTimeout});
+    let device = await this.getDevice({host, port});
+    let deviceId = device.deviceId;
+
+    // listen before joining, the device may be discovered quickly
+    let listener;
+    let timer;
+    let discovered = new Promise((resolve, reject) => {
+      listener = (found) => {
+        if (found.deviceId === deviceId) resolve(found);
+      };
+      this.on('device-new', listener);
+      this.on('device-online', listener);
+      timer = setTimeout(() => {
+        reject(new TimeoutError(`client.provision: ${deviceId} was not discovered on ${ssid} within ${discoveryTimeout}ms`, {timeout: discoveryTimeout}));
+      }, discoveryTimeout);
+    });
+    discovered.catch(() => {}); // handled below
+
+    let startedDiscovery = false;
+    try {
+      await device.joinNetwork({ssid, password, keyType}, sendOptions);
+      if (!this.isSocketBound) {
+        this.startDiscovery(discoveryOptions);
+        startedDiscovery = true;
+      }
+      return await discovered;
+    } finally {
+      clearTimeout(timer);
+      this.removeListener('device-new', listener);
+      this.removeListener('device-online', listener);
+      if (startedDiscovery) this.stopDiscovery();
+    }
+  }
 
   /**
    * Error during discovery.
@@ -306,6 +744,24 @@ class Client extends EventEmitter {
    * @property {Plug}
    */
 
+  /**
+   * First response from Power Strip.
+   * @event Client#powerstrip-new
+   * @property {PowerStrip}
+   */
+
+  /**
+   * Follow up response from Power Strip.
+   * @event Client#powerstrip-online
+   * @property {PowerStrip}
+   */
+
+  /**
+   * No response from Power Strip.
+   * @event Client#powerstrip-offline
+   * @property {PowerStrip}
+   */
+
   /**
    * Discover TP-Link Smarthome devices on the network.
    *
@@ -315,6 +771,7 @@ class Client extends EventEmitter {
    * - If `deviceTypes` are specified only matching devices are found.
    * - If `devices` are specified it will attempt to contact them directly in addition to sending to the broadcast address.
    *   - `devices` are specified as an array of `[{host, [port: 9999]}]`.
+   * - Events for a {@link PowerStrip} are followed by the same events for each of its {@link Outlet}s (as `device-` and `plug-`).
    * @param  {Object}   options
    * @param  {string}   [options.address]                     address to bind udp socket
    * @param  {number}   [options.port]                        port to bind udp socket
@@ -336,6 +793,9 @@ class Client extends EventEmitter {
    * @emits  Client#plug-new
    * @emits  Client#plug-online
    * @emits  Client#plug-offline
+   * @emits  Client#powerstrip-new
+   * @emits  Client#powerstrip-online
+   * @emits  Client#powerstrip-offline
    */
   startDiscovery ({address, port, broadcast = '255.255.255.255', discoveryInterval = 10000, discoveryTimeout = 0, offlineTolerance = 3, deviceTypes, deviceOptions = {}, devices} = {}) {
     this.log.debug('client.startDiscovery(%j)', arguments[0]);
@@ -380,14 +840,14 @@ class Client extends EventEmitter {
           device.sysInfo = sysInfo;
           device.status = 'online';
           device.seenOnDiscovery = this.discoveryPacketSequence;
-          this.emit('online', device);
+          this.emitWithOutlets('online', device);
         } else {
           Object.assign(deviceOptions, {client: this, deviceId: sysInfo.deviceId, host: rinfo.address, port: rinfo.port, seenOnDiscovery: this.discoveryPacketSequence});
           const device = this.getDeviceFromSysInfo(sysInfo, deviceOptions);
           device.sysInfo = sysInfo;
           device.status = 'online';
           this.devices.set(device.deviceId, device);
-          this.emit('new', device);
+          this.emitWithOutlets('new', device);
         }
       });
 
@@ -445,7 +905,7 @@ class Client extends EventEmitter {
           let diff = this.discoveryPacketSequence - device.seenOnDiscovery;
           if (diff >= offlineTolerance) {
             device.status = 'offline';
-            this.emit('offline', device);
+            this.emitWithOutlets('offline', device);
           }
         }
       });
@@ -477,4 +937,36 @@ class Client extends EventEmitter {
   }
 }
 
+const defaultRetryPolicy = {
+  maxAttempts: 1,
+  minDelay: 100,
+  maxDelay: 5000,
+  factor: 2,
+  jitter: 0.5,
+  retryOn: [TimeoutError, ConnectionError],
+  retryNonIdempotent: false
+};
+
+/**
+ * @private
+ */
+function shouldRetry (policy, err) {
+  let retryOn = policy.retryOn;
+  if (typeof retryOn === 'function') return !!retryOn(err);
+  return (retryOn || []).some((r) => {
+    if (typeof r === 'function') return err instanceof r;
+    return (err.code === r);
+  });
+}
+
+/**
+ * Exponential backoff with jitter.
+ * @private
+ */
+function retryDelay (policy, attempt) {
+  let delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+  let jitter = Math.min(Math.max(policy.jitter, 0), 1);
+  return Math.round(delay * (1 - jitter * Math.random()));
+}
+
 module.exports = Client;
@@ -2,13 +2,37 @@
 
 const EventEmitter = require('events');
 
+const Batch = require('./batch');
+const CapabilityError = require('./utils').CapabilityError;
 const ResponseError = require('./utils').ResponseError;
+const TimeoutError = require('./utils').TimeoutError;
+const isIdempotent = require('./utils').isIdempotent;
+const delay = require('./utils').delay;
+const normalizeConsumption = require('./utils').normalizeConsumption;
+const createScheduleRule = require('./schedule').createScheduleRule;
+const timeZoneToIndex = require('./timezone').timeZoneToIndex;
+const indexToTimeZone = require('./timezone').indexToTimeZone;
+const dateToTimeFields = require('./timezone').dateToTimeFields;
+const timeFieldsToDate = require('./timezone').timeFieldsToDate;
+const capabilitiesFromSysInfo = require('./capabilities').capabilitiesFromSysInfo;
+const getModelInfo = require('./capabilities').getModelInfo;
+
+/**
+ * Names of `netif` `key_type`s.
+ * @private
+ */
+const WIFI_KEY_TYPES = ['open', 'wep', 'wpa', 'wpa2'];
 
 /**
  * TP-Link Device.
  *
  * Shared behavior for {@link Plug} and {@link Bulb}.
  * @extends EventEmitter
+ * @emits  Device#firmware-download-progress
+ * @emits  Device#firmware-flashing
+ * @emits  Device#firmware-complete
+ * @emits  Device#firmware-failed
+ * @emits  Device#polling-error
  */
 class Device extends EventEmitter {
   /**
@@ -20,6 +44,10 @@ class Device extends EventEmitter {
    * @param  {string} [options.deviceId]
    * @param  {number} [options.seenOnDiscovery]
    * @param  {number} [options.timeout]
+   * @param  {boolean} [options.persistentConnection] overrides {@link Client}'s `persistentConnection`
+   * @param  {string|Function} [options.transport] overrides {@link Client}'s `transport`: 'tcp', 'udp', a registered name or a transport factory, see {@link Client#registerTransport}
+   * @param  {Object} [options.retry] overrides properties of {@link Client}'s `retry` policy
+   * @param  {number} [options.coalesceWindow=0] (ms) merge read commands sent within this window into one request, see {@link #sendCommand}
    * @param  {Object} [options.logger]
    */
   constructor (options) {
@@ -33,14 +61,31 @@ class Device extends EventEmitter {
     this.deviceId = options.deviceId;
     this.seenOnDiscovery = options.seenOnDiscovery || null;
     this.timeout = options.timeout || this.client.timeout || 5000;
+    this.persistentConnection = options.persistentConnection;
+    this.transport = options.transport;
+    this.retry = options.retry;
+    this.coalesceWindow = options.coalesceWindow || 0;
     this.log = options.logger || this.client.log;
     this.log.debug('device.constructor(%j)', Object.assign({}, options, {client: 'not shown'}));
 
     this.name = this.deviceId || this.host; // Overwritten by alias later
     this.model = null;
     this.type = null;
+    /**
+     * Capabilities from last retrieval of `system.sys_info`, see {@link #supports}. `null` until then.
+     * @type {?string[]}
+     */
+    this.capabilities = null;
+    /**
+     * Friendly name and color temperature range of {@link #model}, see {@link module:capabilities.getModelInfo}.
+     * @type {?Object}
+     */
+    this.modelInfo = null;
 
     this.lastState = {};
+    this.batchCapture = null;
+    this.coalesceBatch = null;
+    this.inFlightReads = new Map();
 
     this._sysInfo = {};
     this._consumption = {};
@@ -49,14 +94,26 @@ class Device extends EventEmitter {
   }
   /**
    * Sends `payload` to device (using {@link Client#send})
+   *
+   * `sendOptions` may be a number, which is treated as `timeout`.
    * @param  {Object|string}  payload
-   * @param  {number}         [timeout]
+   * @param  {Object|number}  [sendOptions]
+   * @param  {number}         [sendOptions.timeout=this.timeout]
+   * @param  {string|Function} [sendOptions.transport=this.transport] see {@link Client#send}
+   * @param  {Object}         [sendOptions.retry] overrides properties of this device's `retry` policy
+   * @param  {boolean}        [sendOptions.idempotent] see {@link Client#send}
+   * @param  {AbortSignal}    [sendOptions.signal] cancels the request, see {@link Client#send}
    * @return {Promise<Object, Error>} parsed JSON response
    */
-  async send (payload, timeout = null) {
-    timeout = (timeout == null ? this.timeout : timeout);
+  async send (payload, sendOptions) {
+    if (sendOptions == null || typeof sendOptions === 'number') {
+      sendOptions = {timeout: sendOptions};
+    }
+    let timeout = (sendOptions.timeout == null ? this.timeout : sendOptions.timeout);
+    let transport = sendOptions.transport || this.transport;
+    let retry = Object.assign({}, this.retry, sendOptions.retry);
     this.log.debug('[%s] device.send()', this.name);
-    return this.client.send({host: this.host, port: this.port, payload, timeout})
+    return this.client.send({host: this.host, port: this.port, payload, timeout, persistentConnection: this.persistentConnection, transport, retry, idempotent: sendOptions.idempotent, signal: sendOptions.signal})
       .catch((reason) => {
         this.log.error('[%s] device.send() %s', this.name, reason);
         this.log.debug(payload);
@@ -78,18 +135,108 @@ class Device extends EventEmitter {
    *   - Promise fulfills with full parsed JSON response (same as {@link #send})
    *
    * Also, the response's `err_code`(s) are checked, if any are missing or != `0` the Promise is rejected with {@link ResponseError}.
+   *
+   * With `sendOptions.partialResults` the Promise fulfills (unless the request itself fails) with a map of
+   * `{[module]: {[method]: result}}` for every operation in `command`, where each result is:
+   * - `{supported: true, value}` on success, `value` being the response fragment
+   * - `{supported: false, error}` when `err_code` is listed in `unsupportedErrorCodes` (such as emeter on an HS100)
+   * - `{supported: true, error}` for any other error
+   *
+   * `error` is a {@link ResponseError}.
+   *
+   * If the device has a `coalesceWindow`, read commands (every method starts with `get_`) sent without `sendOptions`
+   * are held for up to `coalesceWindow`(ms) and merged with other reads into one request.
+   * Identical reads that are already waiting or in flight share a single request.
    * @param  {Object|string}  command
-   * @param  {number}  [timeout]
+   * @param  {Object|number}  [sendOptions] see {@link #send}
+   * @param  {boolean}        [sendOptions.partialResults=false]
+   * @param  {number[]}       [sendOptions.unsupportedErrorCodes=[-1,-2]] `err_code`s treated as a missing feature: -1 module not support, -2 member not support
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async sendCommand (command, timeout) {
-    // TODO allow certain err codes (particually emeter for non HS110 devices)
+  async sendCommand (command, sendOptions) {
     let commandObj = ((typeof command === 'string' || command instanceof String) ? JSON.parse(command) : command);
-    let response = await this.send(commandObj, timeout);
-    let results = processResponse(commandObj, response);
+    if (this.batchCapture != null) {
+      return this.batchCapture.capture(commandObj);
+    }
+    if (this.coalesceWindow > 0 && (sendOptions == null || Object.keys(sendOptions).length === 0) && isIdempotent(commandObj)) {
+      return this.coalesceCommand(commandObj);
+    }
+    let response = await this.send(commandObj, sendOptions);
+    if (sendOptions != null && sendOptions.partialResults) {
+      return processPartialResponse(commandObj, response, {
+        host: this.host,
+        port: this.port,
+        unsupportedErrorCodes: sendOptions.unsupportedErrorCodes
+      });
+    }
+    let results = processResponse(commandObj, response, {host: this.host, port: this.port});
     return results;
   }
 
+  /**
+   * Adds `command` to the current coalescing window, opening one if needed.
+   * @private
+   */
+  coalesceCommand (command) {
+    let key = JSON.stringify(command);
+    if (this.inFlightReads.has(key)) {
+      this.log.debug('[%s] device.coalesceCommand() sharing in flight %s', this.name, key);
+      return this.inFlightReads.get(key);
+    }
+
+    if (this.coalesceBatch && this.coalesceBatch.findConflict(command)) {
+      this.flushCoalesced();
+    }
+    if (this.coalesceBatch == null) {
+      let batch = this.coalesceBatch = new Batch(this);
+      batch.timer = setTimeout(() => {
+        if (this.coalesceBatch === batch) this.flushCoalesced();
+      }, this.coalesceWindow);
+    }
+
+    let promise = this.coalesceBatch.capture(command);
+    this.inFlightReads.set(key, promise);
+    let done = () => {
+      if (this.inFlightReads.get(key) === promise) this.inFlightReads.delete(key);
+    };
+    promise.then(done, done);
+    return promise;
+  }
+
+  /**
+   * Sends commands waiting in the coalescing window.
+   * @private
+   */
+  flushCoalesced () {
+    let batch = this.coalesceBatch;
+    this.coalesceBatch = null;
+    clearTimeout(batch.timer);
+    this.log.debug('[%s] device.flushCoalesced() %s command(s)', this.name, batch.captured.length);
+    batch.exec().catch(() => {}); // errors are passed to each command
+  }
+
+  /**
+   * Creates a {@link Batch} that sends commands from several methods in a single request.
+   *
+   * ```js
+   * let [sysInfo, consumption, rules] = await device.batch().getSysInfo().getConsumption().getScheduleRules().exec();
+   * ```
+   *
+   * Only methods that send one command can be batched, see {@link #batchMethods}.
+   * @return {Batch}
+   */
+  batch () {
+    return new Batch(this);
+  }
+
+  /**
+   * Names of methods that can be added to a {@link Batch}.
+   * @return {string[]}
+   */
+  get batchMethods () {
+    return ['getSysInfo', 'getModel', 'getCloudInfo', 'getScheduleNextAction', 'getScheduleRules', 'getTime', 'getTimeZone', 'getConsumption', 'getDayStats', 'getMonthStats', 'getEmeterCalibration'];
+  }
+
   /**
    * Returns cached results from last retrieval of `system.sys_info`.
    * @return {Object} system.sys_info
@@ -112,6 +259,35 @@ class Device extends EventEmitter {
     this.softwareVersion = sysInfo.sw_ver;
     this.hardwareVersion = sysInfo.hw_ver;
     this.mac = sysInfo.mac;
+    this.capabilities = capabilitiesFromSysInfo(sysInfo);
+    this.modelInfo = getModelInfo(sysInfo.model);
+  }
+
+  /**
+   * Returns true if the device has `capability`, such as `'emeter'`, `'dimmable'`, `'color'`, `'colorTemp'`, `'led'`
+   * or `'children'` (see {@link module:capabilities} for all of them).
+   *
+   * Based on the cached `sysInfo`, so is false for every capability until it has been retrieved.
+   * Methods that need a capability the device does not have are rejected with {@link CapabilityError}
+   * instead of sending the command.
+   * @param  {string} capability
+   * @return {boolean}
+   */
+  supports (capability) {
+    return (this.capabilities != null && this.capabilities.includes(capability));
+  }
+
+  /**
+   * Throws {@link CapabilityError} if `sysInfo` is known and the device does not have `capability`.
+   *
+   * When adding to a {@link Batch}, the error is thrown from {@link Batch#add}.
+   * @private
+   */
+  requireCapability (capability, methodName) {
+    if (this.capabilities == null || this.supports(capability)) return;
+    const err = new CapabilityError(`${methodName}: ${this.model || this.name} does not support ${capability}`, {capability, method: methodName, model: this.model});
+    if (this.batchCapture) this.batchCapture.captureError = err;
+    throw err;
   }
 
   /**
@@ -134,6 +310,8 @@ class Device extends EventEmitter {
       case 'bulb':
         type = 'bulb';
         break;
+      case 'powerstrip':
+        break;
       default:
         type = 'device';
         break;
@@ -146,16 +324,25 @@ class Device extends EventEmitter {
    *
    * Returns `this` (for chaining) that emits events based on state changes.
    * Refer to specific device sections for event details.
+   * Each poll calls {@link #getInfo}; a failed poll emits `polling-error` and polling continues.
    * @param  {number} interval (ms)
    * @return {Device|Bulb|Plug}          this
+   * @emits  Device#polling-error
    */
   startPolling (interval) {
-    // TODO
     this.pollingTimer = setInterval(() => {
-      this.getInfo();
+      this.getInfo().catch((err) => {
+        this.log.debug('[%s] device.startPolling(): %s', this.name, err);
+        this.emit('polling-error', this, err);
+      });
     }, interval);
     return this;
   }
+  /**
+   * A poll by {@link #startPolling} failed.
+   * @event Device#polling-error
+   * @property {Error} value
+   */
 
   /**
    * Stops device polling.
@@ -169,32 +356,46 @@ class Device extends EventEmitter {
    * Gets device's SysInfo.
    *
    * Requests `system.sys_info` from device.
-   * @param  {number}  [timeout]
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getSysInfo ({timeout} = {}) {
+  async getSysInfo (sendOptions = {}) {
     this.log.debug('[%s] device.getSysInfo()', this.name);
-    this.sysInfo = await this.sendCommand('{"system":{"get_sysinfo":{}}}', timeout);
+    this.sysInfo = await this.sendCommand('{"system":{"get_sysinfo":{}}}', sendOptions);
     return this.sysInfo;
   }
+
+  /**
+   * Requests common device status details.
+   *
+   * Requests `system.sys_info`. Device types override this to include more details.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} `{sysInfo}`
+   */
+  async getInfo (sendOptions) {
+    const sysInfo = await this.getSysInfo(sendOptions);
+    return {sysInfo};
+  }
   /**
    * Gets device's model.
    *
    * Requests `system.sys_info` and returns model name.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getModel () {
-    let sysInfo = await this.getSysInfo();
+  async getModel (sendOptions) {
+    let sysInfo = await this.getSysInfo(sendOptions);
     return sysInfo.model;
   }
   /**
    * Gets device's TP-Link Cloud info.
    *
    * Requests `cloud.get_info`.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getCloudInfo () {
-    this.cloudInfo = await this.sendCommand({ [this.apiModuleNamespace.cloud]: {get_info: {}} });
+  async getCloudInfo (sendOptions) {
+    this.cloudInfo = await this.sendCommand({ [this.apiModuleNamespace.cloud]: {get_info: {}} }, sendOptions);
     return this.cloudInfo;
   }
   /**
@@ -202,10 +403,11 @@ class Device extends EventEmitter {
    *
    * Sends `system.set_dev_alias` command.
    * @param  {string}  alias
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async setAlias (alias) {
-    await this.sendCommand({ [this.apiModuleNamespace.system]: {set_dev_alias: {alias: alias}} });
+  async setAlias (alias, sendOptions) {
+    await this.sendCommand({ [this.apiModuleNamespace.system]: {set_dev_alias: {alias: alias}} }, sendOptions);
     this.sysInfo.alias = alias;
     return true;
   }
@@ -213,38 +415,283 @@ class Device extends EventEmitter {
    * Gets Next Schedule Rule Action.
    *
    * Requests `schedule.get_next_action`.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getScheduleNextAction () {
-    return this.sendCommand(`{"${this.apiModuleNamespace.schedule}":{"get_next_action":{}}}`);
+  async getScheduleNextAction (sendOptions) {
+    return this.sendCommand(`{"${this.apiModuleNamespace.schedule}":{"get_next_action":{}}}`, sendOptions);
   }
   /**
    * Gets Schedule Rules.
    *
    * Requests `schedule.get_rules`.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getScheduleRules () {
-    return this.sendCommand(`{"${this.apiModuleNamespace.schedule}":{"get_rules":{}}}`);
+  async getScheduleRules (sendOptions) {
+    return this.sendCommand(`{"${this.apiModuleNamespace.schedule}":{"get_rules":{}}}`, sendOptions);
+  }
+  /**
+   * Adds Schedule Rule.
+   *
+   * Sends `schedule.add_rule` command.
+   * @param  {Object}  rule see {@link module:schedule.createScheduleRule createScheduleRule}
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{id}`
+   * @throws {TypeError|RangeError} when `rule` is invalid
+   */
+  async addScheduleRule (rule, sendOptions) {
+    let deviceRule = createScheduleRule(rule);
+    return this.sendCommand({ [this.apiModuleNamespace.schedule]: {add_rule: deviceRule} }, sendOptions);
+  }
+  /**
+   * Edits Schedule Rule.
+   *
+   * Sends `schedule.edit_rule` command. The rule is replaced, not merged.
+   * @param  {Object}  rule see {@link module:schedule.createScheduleRule createScheduleRule}
+   * @param  {string}  rule.id
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {TypeError|RangeError} when `rule` is invalid
+   */
+  async editScheduleRule (rule, sendOptions) {
+    if (rule == null || rule.id == null) {
+      throw new TypeError('device.editScheduleRule: rule.id is required');
+    }
+    let deviceRule = Object.assign({id: rule.id}, createScheduleRule(rule));
+    return this.sendCommand({ [this.apiModuleNamespace.schedule]: {edit_rule: deviceRule} }, sendOptions);
+  }
+  /**
+   * Deletes Schedule Rule.
+   *
+   * Sends `schedule.delete_rule` command.
+   * @param  {string}  id
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async deleteScheduleRule (id, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.schedule]: {delete_rule: {id}} }, sendOptions);
+  }
+  /**
+   * Deletes All Schedule Rules.
+   *
+   * Sends `schedule.delete_all_rules` command.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async deleteAllScheduleRules (sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.schedule]: {delete_all_rules: {}} }, sendOptions);
+  }
+  /**
+   * Enables or Disables all Schedule Rules.
+   *
+   * Sends `schedule.set_overall_enable` command.
+   * @param  {boolean} enable
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async setScheduleOverallEnable (enable, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.schedule]: {set_overall_enable: {enable: (enable ? 1 : 0)}} }, sendOptions);
   }
   /**
    * Gets device's time.
    *
    * Requests `timesetting.get_time`.
+   * With `asDate` the device's `{year, month, mday, hour, min, sec}` is returned as a `Date`, read as local time in
+   * `timeZone`, or in the device's time zone from `timesetting.get_timezone` requested in the same command.
+   * @param  {Object}  [options]
+   * @param  {boolean} [options.asDate=false]
+   * @param  {string}  [options.timeZone] IANA time zone of the device's clock, with `asDate`
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object|Date, ResponseError>} parsed JSON response, or `Date` with `asDate`
+   * @throws {RangeError} with `asDate`, when the device's timezone index is unknown
+   */
+  async getTime ({asDate = false, timeZone} = {}, sendOptions) {
+    const timesetting = this.apiModuleNamespace.timesetting;
+    if (asDate && timeZone == null) {
+      let response = await this.sendCommand({ [timesetting]: {get_time: {}, get_timezone: {}} }, sendOptions);
+      return timeFieldsToDate(response[timesetting].get_time, indexToTimeZone(response[timesetting].get_timezone.index));
+    }
+    let response = await this.sendCommand(`{"${timesetting}":{"get_time":{}}}`, sendOptions);
+    if (!asDate) return response;
+    return timeFieldsToDate(response, timeZone);
+  }
+  /**
+   * Sets device's time.
+   *
+   * Sends `timesetting.set_time` command with the local time of `date` in the device's time zone
+   * (requested with {@link #getTimeZone}).
+   * @param  {Date}    [date=new Date()]
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {TypeError} when `date` is invalid
+   * @throws {RangeError} when the device's timezone index is unknown
    */
-  async getTime () {
-    return this.sendCommand(`{"${this.apiModuleNamespace.timesetting}":{"get_time":{}}}`);
+  async setTime (date = new Date(), sendOptions) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+      throw new TypeError('device.setTime: date must be a valid Date');
+    }
+    let timeZone = await getDeviceTimeZone(this, sendOptions);
+    return this.sendCommand({ [this.apiModuleNamespace.timesetting]: {set_time: dateToTimeFields(date, timeZone)} }, sendOptions);
   }
   /**
    * Gets device's timezone.
    *
    * Requests `timesetting.get_timezone`.
+   * The returned `index` can be converted with {@link module:timezone.indexToTimeZone}.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async getTimeZone (sendOptions) {
+    return this.sendCommand(`{"${this.apiModuleNamespace.timesetting}":{"get_timezone":{}}}`, sendOptions);
+  }
+  /**
+   * Sets device's timezone.
+   *
+   * Sends `timesetting.set_timezone` command with the firmware index for `timeZone`
+   * (see {@link module:timezone.timeZoneToIndex}) and the current time in that zone.
+   * @param  {string}  timeZone IANA time zone, such as `'America/New_York'`
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {RangeError} when there is no timezone index for `timeZone`
+   */
+  async setTimeZone (timeZone, sendOptions) {
+    let index = timeZoneToIndex(timeZone);
+    let params = Object.assign(dateToTimeFields(new Date(), timeZone), {index});
+    return this.sendCommand({ [this.apiModuleNamespace.timesetting]: {set_timezone: params} }, sendOptions);
+  }
+  /**
+   * Gets firmware available for the device from the TP-Link cloud.
+   *
+   * Requests `cloud.get_intl_fw_list`. The device must be bound to the cloud.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, `fw_list` has `{fwUrl, fwVer, fwReleaseLog, ...}` for each firmware
+   */
+  async getFirmwareList (sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.cloud]: {get_intl_fw_list: {}} }, sendOptions);
+  }
+  /**
+   * Starts downloading firmware to the device.
+   *
+   * Sends `system.download_firmware` command. Follow progress with {@link #getDownloadState}.
+   * @param  {string}  url
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async downloadFirmware (url, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.system]: {download_firmware: {url}} }, sendOptions);
+  }
+  /**
+   * Gets progress of a firmware download.
+   *
+   * Requests `system.get_download_state`.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{status, ratio, reboot_time, flash_time}`
+   */
+  async getDownloadState (sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.system]: {get_download_state: {}} }, sendOptions);
+  }
+  /**
+   * Flashes downloaded firmware. The device reboots afterwards.
+   *
+   * Sends `system.flash_firmware` command.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getTimeZone () {
-    return this.sendCommand(`{"${this.apiModuleNamespace.timesetting}":{"get_timezone":{}}}`);
+  async flashFirmware (sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.system]: {flash_firmware: {}} }, sendOptions);
+  }
+  /**
+   * Downloads and flashes firmware, then waits for the device to come back with the new firmware.
+   *
+   * 1. {@link #downloadFirmware}, then {@link #getDownloadState} every `pollInterval` until `ratio` reaches 100,
+   *    failing as soon as `status` is negative (download failed)
+   * 2. {@link #flashFirmware}
+   * 3. {@link #getSysInfo} every `pollInterval` until the device responds with the new `sw_ver`:
+   *    `swVer` if given, otherwise any `sw_ver` other than the one before the upgrade
+   * @param  {string}  url                            firmware URL, such as `fwUrl` from {@link #getFirmwareList}
+   * @param  {Object}  [options]
+   * @param  {string}  [options.swVer]                expected `sw_ver` after upgrading
+   * @param  {number}  [options.pollInterval=1000]    (ms)
+   * @param  {number}  [options.downloadTimeout=300000] (ms) to wait for the download to complete
+   * @param  {number}  [options.rebootTimeout=120000] (ms) to wait for the device to come back after flashing
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, Error>} `{previousSwVer, swVer}`
+   * @throws {ResponseError} when a command fails or the download state reports a failure
+   * @throws {TimeoutError} when the download does not complete or the device does not come back within the timeouts
+   */
+  async upgradeFirmware (url, {swVer, pollInterval = 1000, downloadTimeout = 300000, rebootTimeout = 120000} = {}, sendOptions = {}) {
+    try {
+      let previousSwVer = (await this.getSysInfo(sendOptions)).sw_ver;
+      await this.downloadFirmware(url, sendOptions);
+
+      let downloadDeadline = Date.now() + downloadTimeout;
+      for (;;) {
+        let downloadState = await this.getDownloadState(sendOptions);
+        if (downloadState.status < 0) {
+          throw new ResponseError('device.upgradeFirmware: download failed', downloadState,
+            {host: this.host, port: this.port, module: this.apiModuleNamespace.system, method: 'get_download_state'});
+        }
+        this.emit('firmware-download-progress', this, {ratio: downloadState.ratio, status: downloadState.status});
+        if (downloadState.ratio >= 100) break;
+        if (Date.now() >= downloadDeadline) {
+          throw new TimeoutError(`device.upgradeFirmware: download did not complete within ${downloadTimeout}ms`,
+            {timeout: downloadTimeout, host: this.host, port: this.port});
+        }
+        await delay(pollInterval, sendOptions.signal);
+      }
+
+      this.emit('firmware-flashing', this);
+      await this.flashFirmware(sendOptions);
+
+      let rebootDeadline = Date.now() + rebootTimeout;
+      let lastError = null;
+      let lastSwVer = previousSwVer;
+      for (;;) {
+        await delay(pollInterval, sendOptions.signal);
+        try {
+          lastSwVer = (await this.getSysInfo(sendOptions)).sw_ver;
+          lastError = null;
+          if (swVer != null ? lastSwVer === swVer : lastSwVer !== previousSwVer) break;
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          lastError = err; // expected while rebooting
+        }
+        if (Date.now() >= rebootDeadline) {
+          throw new TimeoutError(lastError
+            ? `device.upgradeFirmware: device did not come back online: ${lastError.message}`
+            : `device.upgradeFirmware: sw_ver is ${lastSwVer}, expected ${swVer != null ? swVer : 'a new version'}`,
+          {timeout: rebootTimeout, host: this.host, port: this.port});
+        }
+      }
+
+      let result = {previousSwVer, swVer: lastSwVer};
+      this.emit('firmware-complete', this, result);
+      return result;
+    } catch (err) {
+      this.emit('firmware-failed', this, err);
+      throw err;
+    }
   }
+  /**
+   * Firmware download progress, emitted by {@link #upgradeFirmware}.
+   * @event Device#firmware-download-progress
+   * @property {Object} value `{ratio, status}` from `system.get_download_state`
+   */
+  /**
+   * Firmware was downloaded and is about to be flashed, emitted by {@link #upgradeFirmware}.
+   * @event Device#firmware-flashing
+   */
+  /**
+   * Device is back online with the new firmware, emitted by {@link #upgradeFirmware}.
+   * @event Device#firmware-complete
+   * @property {Object} value `{previousSwVer, swVer}`
+   */
+  /**
+   * {@link #upgradeFirmware} failed.
+   * @event Device#firmware-failed
+   * @property {Error} value
+   */
   /**
    * Requests `netif.get_scaninfo` (list of WiFi networks).
    *
@@ -253,70 +700,258 @@ class Device extends EventEmitter {
    * default network timeout to the request timeout.
    * @param  {Boolean} [refresh=false]       request device's cached results
    * @param  {number}  [timeoutInSeconds=10] timeout for scan in seconds
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getScanInfo (refresh = false, timeoutInSeconds = 10) {
+  async getScanInfo (refresh = false, timeoutInSeconds = 10, sendOptions) {
     let timeout = ((timeoutInSeconds * 1000) * 2) + this.timeout; // add original timeout to wait for response
     let command = `{"${this.apiModuleNamespace.netif}":{"get_scaninfo":{"refresh":${(refresh ? 1 : 0)},"timeout":${timeoutInSeconds}}}}`;
-    return this.sendCommand(command, timeout);
+    return this.sendCommand(command, Object.assign({}, sendOptions, {timeout}));
+  }
+  /**
+   * Scans for WiFi networks, see {@link #getScanInfo}.
+   *
+   * `security` is the name of `keyType`: `'open'`, `'wep'`, `'wpa'` or `'wpa2'`.
+   * `rssi` (dBm) is `null` for devices that don't report signal strength.
+   * @param  {Object}  [options]
+   * @param  {boolean} [options.refresh=true]          `false` for the device's cached results
+   * @param  {number}  [options.timeoutInSeconds=10]
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object[], ResponseError>} `{ssid, rssi, keyType, security}` for each network, strongest first
+   */
+  async scanNetworks ({refresh = true, timeoutInSeconds = 10} = {}, sendOptions) {
+    let response = await this.getScanInfo(refresh, timeoutInSeconds, sendOptions);
+    return (response.ap_list || []).map((ap) => ({
+      ssid: ap.ssid,
+      rssi: (ap.rssi != null ? ap.rssi : null),
+      keyType: ap.key_type,
+      security: (WIFI_KEY_TYPES[ap.key_type] || 'unknown')
+    })).sort((a, b) => (b.rssi == null ? -Infinity : b.rssi) - (a.rssi == null ? -Infinity : a.rssi));
+  }
+  /**
+   * Connects the device to a WiFi network.
+   *
+   * Sends `netif.set_stainfo` command. The device leaves its current network (or its own access point) to join,
+   * so it will be reachable at a new address afterwards, see {@link Client#provision}.
+   * @param  {Object}        network
+   * @param  {string}        network.ssid
+   * @param  {string}        [network.password]     required unless `keyType` is open
+   * @param  {number|string} [network.keyType=3]   `0`-`3` or `'open'`, `'wep'`, `'wpa'`, `'wpa2'`
+   * @param  {Object}        [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {TypeError|RangeError} when `network` is invalid
+   */
+  async joinNetwork ({ssid, password, keyType = 3} = {}, sendOptions) {
+    if (typeof ssid !== 'string' || ssid.length === 0) {
+      throw new TypeError('device.joinNetwork: ssid is required');
+    }
+    let keyTypeIndex = (typeof keyType === 'string' ? WIFI_KEY_TYPES.indexOf(keyType.toLowerCase()) : keyType);
+    if (WIFI_KEY_TYPES[keyTypeIndex] == null) {
+      throw new RangeError(`device.joinNetwork: invalid keyType: ${keyType}`);
+    }
+    if (keyTypeIndex !== 0 && (typeof password !== 'string' || password.length === 0)) {
+      throw new TypeError('device.joinNetwork: password is required');
+    }
+    return this.sendCommand({
+      [this.apiModuleNamespace.netif]: {set_stainfo: {ssid, password: (password || ''), key_type: keyTypeIndex}}
+    }, sendOptions);
   }
 
   /**
    * Gets devie's current Energy Monitoring Stats.
    *
    * Requests `emeter.get_realtime`.
+   * The response always has both `power`/`voltage`/`current`/`total` (W/V/A/kWh)
+   * and `power_mw`/`voltage_mv`/`current_ma`/`total_wh`, for those the device measures, whichever its firmware reports.
+   * @param  {Object}  [sendOptions] see {@link #send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the device does not support `emeter`
    */
-  async getConsumption () {
-    let response = await this.sendCommand(`{"${this.apiModuleNamespace.emeter}":{"get_realtime":{}}}`);
+  async getConsumption (sendOptions) {
+    this.requireCapability('emeter', 'device.getConsumption');
+    let response = await this.sendCommand(`{"${this.apiModuleNamespace.emeter}":{"get_realtime":{}}}`, sendOptions);
     if (response) {
-      this.consumption = response;
+      this.consumption = normalizeConsumption(response);
       return this.consumption;
     }
     throw new Error('Error parsing getConsumption results', response);
   }
+  /**
+   * Gets daily energy usage for a month.
+   *
+   * Requests `emeter.get_daystat`. Days without usage are not included.
+   * @param  {number}  year
+   * @param  {number}  month   1-12
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object[], ResponseError>} `{date, energyKwh}` for each day, in date order
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async getDayStats (year, month, sendOptions) {
+    this.requireCapability('emeter', 'device.getDayStats');
+    let response = await this.sendCommand({ [this.apiModuleNamespace.emeter]: {get_daystat: {year, month}} }, sendOptions);
+    return normalizeEnergyStats(response.day_list);
+  }
+  /**
+   * Gets monthly energy usage for a year.
+   *
+   * Requests `emeter.get_monthstat`. Each month's `date` is the first of the month.
+   * @param  {number}  year
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object[], ResponseError>} `{date, energyKwh}` for each month, in date order
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async getMonthStats (year, sendOptions) {
+    this.requireCapability('emeter', 'device.getMonthStats');
+    let response = await this.sendCommand({ [this.apiModuleNamespace.emeter]: {get_monthstat: {year}} }, sendOptions);
+    return normalizeEnergyStats(response.month_list);
+  }
+  /**
+   * Gets daily energy usage from `start` to `end` (both inclusive, local dates).
+   *
+   * Sends one `emeter.get_daystat` request for each month in the range.
+   * @param  {Date}    start
+   * @param  {Date}    [end=new Date()]
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object[], ResponseError>} `{date, energyKwh}` for each day, in date order
+   * @throws {RangeError} when `end` is before `start`
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async getDayStatsRange (start, end = new Date(), sendOptions) {
+    this.requireCapability('emeter', 'device.getDayStatsRange');
+    [start, end].forEach((date) => {
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new TypeError('device.getDayStatsRange: start and end must be valid Dates');
+      }
+    });
+    let first = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    let last = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    if (last < first) {
+      throw new RangeError('device.getDayStatsRange: end must not be before start');
+    }
+
+    let stats = [];
+    let year = first.getFullYear();
+    let month = first.getMonth();
+    while (new Date(year, month, 1) <= last) {
+      let days = await this.getDayStats(year, month + 1, sendOptions);
+      stats.push(...days.filter(({date}) => date >= first && date <= last));
+      month += 1;
+      if (month === 12) {
+        year += 1;
+        month = 0;
+      }
+    }
+    return stats;
+  }
+  /**
+   * Erases all energy usage statistics.
+   *
+   * Sends `emeter.erase_emeter_stat` command.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async eraseEmeterStats (sendOptions) {
+    this.requireCapability('emeter', 'device.eraseEmeterStats');
+    return this.sendCommand({ [this.apiModuleNamespace.emeter]: {erase_emeter_stat: {}} }, sendOptions);
+  }
+  /**
+   * Gets energy meter calibration.
+   *
+   * Requests `emeter.get_vgain_igain`.
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, `{vgain, igain}`
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async getEmeterCalibration (sendOptions) {
+    this.requireCapability('emeter', 'device.getEmeterCalibration');
+    return this.sendCommand({ [this.apiModuleNamespace.emeter]: {get_vgain_igain: {}} }, sendOptions);
+  }
+  /**
+   * Sets energy meter calibration.
+   *
+   * Sends `emeter.set_vgain_igain` command.
+   * @param  {Object}  calibration
+   * @param  {number}  calibration.vgain
+   * @param  {number}  calibration.igain
+   * @param  {Object}  [sendOptions] see {@link #send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the device does not support `emeter`
+   */
+  async setEmeterCalibration ({vgain, igain}, sendOptions) {
+    this.requireCapability('emeter', 'device.setEmeterCalibration');
+    if (!Number.isInteger(vgain) || !Number.isInteger(igain)) {
+      throw new TypeError('device.setEmeterCalibration: vgain and igain must be integers');
+    }
+    return this.sendCommand({ [this.apiModuleNamespace.emeter]: {set_vgain_igain: {vgain, igain}} }, sendOptions);
+  }
+}
+
+/**
+ * Converts `day_list`/`month_list` entries to `{date, energyKwh}`, sorted by date.
+ *
+ * Older firmware reports `energy` (kWh), newer firmware and bulbs `energy_wh`.
+ * @private
+ */
+function normalizeEnergyStats (list = []) {
+  return list.map((entry) => ({
+    date: new Date(entry.year, entry.month - 1, entry.day || 1),
+    energyKwh: (entry.energy != null ? entry.energy : (entry.energy_wh || 0) / 1000)
+  })).sort((a, b) => a.date - b.date);
+}
+
+/**
+ * IANA time zone of `device`'s clock, from its timezone index.
+ * @private
+ */
+async function getDeviceTimeZone (device, sendOptions) {
+  let {index} = await device.getTimeZone(sendOptions);
+  return indexToTimeZone(index);
 }
 
 /**
  * @private
  */
-function processResponse (command, response) {
+function processResponse (command, response, {host, port} = {}) {
   let commandResponses = recur(command, response);
 
   let errors = [];
   commandResponses.forEach((r) => {
-    if (r.err_code == null) {
-      errors.push({msg: 'err_code missing', response: r});
-    } else if (r.err_code !== 0) {
-      errors.push({msg: 'err_code not zero', response: r});
+    let details = {host, port, module: r.module, method: r.method};
+    if (r.response.err_code == null) {
+      errors.push(new ResponseError('err_code missing', r.response, details));
+    } else if (r.response.err_code !== 0) {
+      errors.push(new ResponseError('err_code not zero', r.response, details));
     }
   });
 
   if (errors.length === 1) {
-    throw new ResponseError(errors[0].msg, errors[0].response);
+    throw errors[0];
   } else if (errors.length > 1) {
-    throw new ResponseError('err_code', errors.map(e => e[response]));
+    let err = new ResponseError('err_code', errors.map(e => e.response), {host, port});
+    err.errors = errors;
+    throw err;
   }
 
   if (commandResponses.length === 1) {
-    return commandResponses[0];
+    return commandResponses[0].response;
   }
   return response;
 
-  function recur (command, response, depth = 0, results = []) {
+  function recur (command, response, depth = 0, results = [], moduleName) {
     let keys = Object.keys(command);
-    if (keys.length === 0) { results.push(response); }
+    if (keys.length === 0) { results.push({module: moduleName, response}); }
     for (var i = 0; i < keys.length; i++) {
       let key = keys[i];
       if (depth === 1) {
         if (response[key]) {
-          results.push(response[key]);
+          results.push({module: moduleName, method: key, response: response[key]});
         } else {
-          return results.push(response);
+          return results.push({module: moduleName, response});
         }
       } else if (depth < 1) {
         if (response[key] !== undefined) {
-          recur(command[key], response[key], depth + 1, results);
+          recur(command[key], response[key], depth + 1, results, key);
         }
       }
     }
@@ -324,4 +959,34 @@ function processResponse (command, response) {
   }
 }
 
+/**
+ * @private
+ */
+function processPartialResponse (command, response, {host, port, unsupportedErrorCodes = [-1, -2]} = {}) {
+  let results = {};
+  Object.keys(command).forEach((moduleName) => {
+    let moduleResponse = response[moduleName];
+    results[moduleName] = {};
+    Object.keys(command[moduleName]).forEach((method) => {
+      let details = {host, port, module: moduleName, method};
+      // Errors such as "module not support" are returned for the module instead of each method
+      let r = (moduleResponse != null && moduleResponse[method] !== undefined ? moduleResponse[method] : moduleResponse);
+
+      if (r == null) {
+        results[moduleName][method] = {supported: true, error: new ResponseError('response missing', r, details)};
+      } else if (r.err_code == null) {
+        results[moduleName][method] = {supported: true, error: new ResponseError('err_code missing', r, details)};
+      } else if (r.err_code !== 0) {
+        results[moduleName][method] = {
+          supported: !unsupportedErrorCodes.includes(r.err_code),
+          error: new ResponseError('err_code not zero', r, details)
+        };
+      } else {
+        results[moduleName][method] = {supported: true, value: r};
+      }
+    });
+  });
+  return results;
+}
+
 module.exports = Device;
@@ -0,0 +1,169 @@
+'use strict';
+
+const Plug = require('./plug');
+
+/**
+ * Dimmer Switch Device.
+ *
+ * TP-Link models: HS220.
+ *
+ * Has the relay, events and other features of a {@link Plug}, plus brightness and the `smartlife.iot.dimmer` module.
+ * @extends Plug
+ * @extends Device
+ * @extends EventEmitter
+ * @emits  Dimmer#brightness-change
+ */
+class Dimmer extends Plug {
+  /**
+   * Created by {@link Client} - Do not instantiate directly.
+   *
+   * See {@link Plug#constructor} for common options.
+   * @param  {Object} options
+   */
+  constructor (options) {
+    super(options);
+
+    this.log.debug('dimmer.constructor()');
+
+    this.apiModuleNamespace.dimmer = 'smartlife.iot.dimmer';
+
+    this.lastState = Object.assign(this.lastState, { brightness: null });
+  }
+
+  get batchMethods () {
+    return super.batchMethods.concat(['getBrightness', 'getDimmerParameters']);
+  }
+
+  /**
+   * Returns cached brightness (0-100) from last retrieval of `system.sys_info`.
+   * @return {number}
+   */
+  get brightness () {
+    return this.sysInfo.brightness;
+  }
+
+  /**
+   * Dimmer's brightness was changed.
+   * @event Dimmer#brightness-change
+   * @property {number} value Brightness (0-100)
+   */
+
+  /**
+   * @private
+   */
+  emitEvents () {
+    super.emitEvents();
+    if (!this.emitEventsEnabled) { return; }
+
+    const brightness = this.sysInfo.brightness;
+    if (brightness != null && this.lastState.brightness !== brightness) {
+      this.lastState.brightness = brightness;
+      this.emit('brightness-change', this, brightness);
+    }
+  }
+
+  /**
+   * Gets brightness.
+   *
+   * Requests `system.sys_info` from device.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<number, ResponseError>} brightness (0-100)
+   */
+  async getBrightness (sendOptions) {
+    let sysInfo = await this.getSysInfo(sendOptions);
+    return sysInfo.brightness;
+  }
+
+  /**
+   * Sets brightness.
+   *
+   * Sends `smartlife.iot.dimmer.set_brightness` command. Does not change the relay state.
+   * @param  {number}  brightness 0-100
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<boolean, ResponseError>}
+   * @throws {RangeError} when `brightness` is not an integer from 0 to 100
+   * @throws {CapabilityError} when the device does not support `dimmable`
+   */
+  async setBrightness (brightness, sendOptions) {
+    this.requireCapability('dimmable', 'dimmer.setBrightness');
+    if (!Number.isInteger(brightness) || brightness < 0 || brightness > 100) {
+      throw new RangeError(`dimmer.setBrightness: brightness must be an integer from 0 to 100: ${brightness}`);
+    }
+    this.log.debug('[%s] dimmer.setBrightness(%s)', this.name, brightness);
+    await this.sendCommand({ [this.apiModuleNamespace.dimmer]: {set_brightness: {brightness}} }, sendOptions);
+    this.sysInfo.brightness = brightness;
+    this.emitEvents();
+    return true;
+  }
+
+  /**
+   * Gets dimmer parameters.
+   *
+   * Requests `smartlife.iot.dimmer.get_dimmer_parameters`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{minThreshold, fadeOnTime, fadeOffTime, gentleOnTime, gentleOffTime, rampRate}`
+   */
+  async getDimmerParameters (sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.dimmer]: {get_dimmer_parameters: {}} }, sendOptions);
+  }
+
+  /**
+   * Sets how long the dimmer takes to fade on when turned on.
+   *
+   * Sends `smartlife.iot.dimmer.set_fade_on_time` command.
+   * @param  {number}  fadeTime (ms)
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async setFadeOnTime (fadeTime, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.dimmer]: {set_fade_on_time: {fadeTime: validateTime('setFadeOnTime', fadeTime)}} }, sendOptions);
+  }
+
+  /**
+   * Sets how long the dimmer takes to fade off when turned off.
+   *
+   * Sends `smartlife.iot.dimmer.set_fade_off_time` command.
+   * @param  {number}  fadeTime (ms)
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async setFadeOffTime (fadeTime, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.dimmer]: {set_fade_off_time: {fadeTime: validateTime('setFadeOffTime', fadeTime)}} }, sendOptions);
+  }
+
+  /**
+   * Sets how long a gentle on (such as from a schedule) takes.
+   *
+   * Sends `smartlife.iot.dimmer.set_gentle_on_time` command.
+   * @param  {number}  duration (ms)
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async setGentleOnTime (duration, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.dimmer]: {set_gentle_on_time: {duration: validateTime('setGentleOnTime', duration)}} }, sendOptions);
+  }
+
+  /**
+   * Sets how long a gentle off (such as from a schedule) takes.
+   *
+   * Sends `smartlife.iot.dimmer.set_gentle_off_time` command.
+   * @param  {number}  duration (ms)
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async setGentleOffTime (duration, sendOptions) {
+    return this.sendCommand({ [this.apiModuleNamespace.dimmer]: {set_gentle_off_time: {duration: validateTime('setGentleOffTime', duration)}} }, sendOptions);
+  }
+}
+
+/**
+ * @private
+ */
+function validateTime (methodName, ms) {
+  if (!Number.isInteger(ms) || ms < 0) {
+    throw new RangeError(`dimmer.${methodName}: time must be a non-negative integer (ms): ${ms}`);
+  }
+  return ms;
+}
+
+module.exports = Dimmer;
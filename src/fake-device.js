@@ -0,0 +1,767 @@
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+
+const encrypt = require('./tplink-crypto').encrypt;
+const encryptWithHeader = require('./tplink-crypto').encryptWithHeader;
+const decrypt = require('./tplink-crypto').decrypt;
+const indexToTimeZone = require('./timezone').indexToTimeZone;
+const dateToTimeFields = require('./timezone').dateToTimeFields;
+const timeFieldsToDate = require('./timezone').timeFieldsToDate;
+
+/**
+ * Fake TP-Link device for integration tests.
+ *
+ * Listens for TCP and UDP on the same (by default ephemeral) port and answers commands from
+ * {@link #state}, which may be read and changed at any time.
+ *
+ * Supported modules:
+ * - plug/dimmer/strip: `system`, `cnCloud`, `schedule`, `count_down`, `anti_theft`, `time`, `emeter` (HS110, HS300), `netif`
+ *   and `smartlife.iot.dimmer` (dimmer)
+ * - strip: `context: {child_ids}` selects outlets for `system.set_relay_state`, `system.set_dev_alias`
+ *   and `emeter.get_realtime`
+ * - bulb/lightstrip: `smartlife.iot.common.*` (`system`, `cloud`, `schedule`, `anti_theft`, `timesetting`, `emeter`),
+ *   `smartlife.iot.smartbulb.lightingservice`, `system` and `netif`
+ * - lightstrip: `smartlife.iot.lightStrip` and `smartlife.iot.lighting_effect`
+ *
+ * Unknown modules respond with `err_code` `-1` and unknown methods with `-2`, as devices do.
+ *
+ * Faults can be injected with {@link #latency}, {@link #dropNext}, {@link #malformNext} and {@link #failMethod}.
+ *
+ * @example
+ * const FakeDevice = require('hs100-api/testing').FakeDevice;
+ * const fake = await new FakeDevice({type: 'plug', emeter: true}).start();
+ * const plug = await client.getDevice({host: fake.address, port: fake.port});
+ * fake.failMethod('system', 'set_relay_state', -3);
+ * await plug.setPowerState(true); // rejects with ResponseError
+ * await fake.stop();
+ */
+class FakeDevice {
+  /**
+   * @param  {Object}  [options]
+   * @param  {string}  [options.type='plug']       'plug', 'dimmer', 'strip', 'bulb' or 'lightstrip'
+   * @param  {string}  [options.model]             defaults to HS100(US), HS110(US) (plug with emeter), HS220(US), HS300(US), LB130(US) or KL430(US)
+   * @param  {boolean} [options.emeter]            defaults to true for bulbs, light strips, HS110s and HS300s
+   * @param  {Object}  [options.sysInfo]           merged over the default `get_sysinfo` response
+   * @param  {string}  [options.address='127.0.0.1']
+   * @param  {number}  [options.port=0]            `0` for an ephemeral port
+   */
+  constructor ({type = 'plug', model, emeter, sysInfo, address = '127.0.0.1', port = 0} = {}) {
+    if (!['plug', 'dimmer', 'strip', 'bulb', 'lightstrip'].includes(type)) {
+      throw new Error(`fakeDevice: unknown type: ${type}`);
+    }
+    if (model == null) {
+      model = {plug: (emeter ? 'HS110(US)' : 'HS100(US)'), dimmer: 'HS220(US)', strip: 'HS300(US)', bulb: 'LB130(US)', lightstrip: 'KL430(US)'}[type];
+    }
+    if (emeter == null) {
+      emeter = (isBulbType(type) || model.startsWith('HS110') || model.startsWith('HS300'));
+    }
+    this.type = type;
+    this.model = model;
+    this.bindAddress = address;
+    this.bindPort = port;
+
+    /**
+     * Device state commands are answered from and applied to.
+     *
+     * `sysInfo`, `cloudInfo`, `emeter` (`realtime`, `childRealtime` (each strip outlet's `realtime` by child id),
+     * `dayList`, `vgain`, `igain`; `null` without an emeter),
+     * `schedule`, `countDown` and `antiTheft` (each `{enable, rule_list}`), `timeOffset` (ms from the current time),
+     * `timezoneIndex` (the clock is kept in this time zone, UTC if unknown), `scanList`, `network` (last `set_stainfo`),
+     * `dimmerParameters`, `rebootCount` and
+     * `firmware` (`list` for `get_intl_fw_list`; `download` in progress; `downloadStep`, the `ratio` added by each
+     * `get_download_state`; `downloadFails`, report `status` -1 (failed) from `get_download_state`; and `rebootTime`,
+     * ms the device does not respond for after `flash_firmware`).
+     * @type {Object}
+     */
+    this.state = defaultState({type, model, emeter, sysInfo});
+
+    /**
+     * Requests received, in order, as `{transport, request}`.
+     * @type {Object[]}
+     */
+    this.requests = [];
+
+    /**
+     * (ms) to wait before responding, or a `function (request)` returning it.
+     * @type {number|Function}
+     */
+    this.latency = 0;
+
+    this.failures = new Map();
+    this.dropCount = 0;
+    this.offlineUntil = 0;
+    this.malformed = [];
+    this.tcpServer = null;
+    this.udpSocket = null;
+    this.sockets = new Set();
+    this.api = createApi(this);
+  }
+
+  /**
+   * Address the fake is listening on.
+   * @return {string}
+   */
+  get address () {
+    return this.tcpServer.address().address;
+  }
+
+  /**
+   * Port the fake is listening on (for both TCP and UDP).
+   * @return {number}
+   */
+  get port () {
+    return this.tcpServer.address().port;
+  }
+
+  /**
+   * Starts listening.
+   * @return {Promise<FakeDevice, Error>} this
+   */
+  async start () {
+    // TCP and UDP need the same port, an ephemeral TCP port may already be taken for UDP
+    for (let attempt = 1; ; attempt++) {
+      await this.listenTcp();
+      try {
+        await this.listenUdp(this.port);
+        return this;
+      } catch (err) {
+        await this.stop();
+        if (err.code !== 'EADDRINUSE' || this.bindPort !== 0 || attempt >= 5) throw err;
+      }
+    }
+  }
+
+  /**
+   * Stops listening and closes open connections.
+   * @return {Promise}
+   */
+  stop () {
+    this.sockets.forEach((socket) => socket.destroy());
+    this.sockets.clear();
+    let closing = [];
+    if (this.tcpServer) {
+      let server = this.tcpServer;
+      closing.push(new Promise((resolve) => server.close(() => resolve())));
+      this.tcpServer = null;
+    }
+    if (this.udpSocket) {
+      let socket = this.udpSocket;
+      closing.push(new Promise((resolve) => socket.close(() => resolve())));
+      this.udpSocket = null;
+    }
+    return Promise.all(closing).then(() => {});
+  }
+
+  /**
+   * The next `count` requests are not answered; TCP connections are closed, UDP messages ignored.
+   * @param  {number} [count=1]
+   */
+  dropNext (count = 1) {
+    this.dropCount += count;
+  }
+
+  /**
+   * The next `count` responses are malformed.
+   *
+   * - `'truncated'`: the TCP length header claims more bytes than are sent (UDP: JSON is cut short)
+   * - `'invalid-json'`: a correctly framed response that is not JSON
+   * - `'oversized'`: the TCP length header claims 16MB (UDP: same as `'invalid-json'`)
+   * @param  {number} [count=1]
+   * @param  {string} [kind='truncated']
+   */
+  malformNext (count = 1, kind = 'truncated') {
+    if (!['truncated', 'invalid-json', 'oversized'].includes(kind)) {
+      throw new Error(`fakeDevice: unknown malformed kind: ${kind}`);
+    }
+    for (let i = 0; i < count; i++) this.malformed.push(kind);
+  }
+
+  /**
+   * `module.method` responds with `errCode` until {@link #clearFailures} is called.
+   * @param  {string} module
+   * @param  {string} method
+   * @param  {number} [errCode=-1]
+   * @param  {string} [errMsg='fake failure']
+   */
+  failMethod (module, method, errCode = -1, errMsg = 'fake failure') {
+    this.failures.set(`${module}.${method}`, {err_code: errCode, err_msg: errMsg});
+  }
+
+  /**
+   * Removes failures added with {@link #failMethod}.
+   */
+  clearFailures () {
+    this.failures.clear();
+  }
+
+  /**
+   * Processes a decrypted request and returns the response object.
+   * @param  {Object} request
+   * @return {Object}
+   */
+  processRequest (request) {
+    let response = {};
+    Object.keys(request).forEach((moduleName) => {
+      if (moduleName === 'context') return;
+      let methods = request[moduleName];
+      let api = this.api[moduleName];
+      if (api == null) {
+        response[moduleName] = {err_code: -1, err_msg: 'module not support'};
+        return;
+      }
+      response[moduleName] = {};
+      Object.keys(methods || {}).forEach((method) => {
+        response[moduleName][method] = this.callMethod(moduleName, method, methods[method], request.context);
+      });
+    });
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  callMethod (moduleName, method, params, context) {
+    let failure = this.failures.get(`${moduleName}.${method}`);
+    if (failure) return Object.assign({}, failure);
+
+    let handler = this.api[moduleName][method];
+    if (handler == null) return {err_code: -2, err_msg: 'member not support'};
+    try {
+      return Object.assign({}, handler(params || {}, context), {err_code: 0});
+    } catch (err) {
+      if (err.err_code != null) return {err_code: err.err_code, err_msg: err.err_msg};
+      return {err_code: -3, err_msg: err.message};
+    }
+  }
+
+  /**
+   * Parses, records and answers `requestString`, honoring injected faults.
+   *
+   * Fulfills with `{responseString, malformed}`, or `{drop: true}` when it should not be answered.
+   * @private
+   */
+  async respond (transport, requestString) {
+    let request;
+    try {
+      request = JSON.parse(requestString);
+    } catch (e) {
+      request = null;
+    }
+    this.requests.push({transport, request});
+
+    let latency = (typeof this.latency === 'function' ? this.latency(request) : this.latency);
+    if (latency > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latency));
+    }
+    if (this.dropCount > 0) {
+      this.dropCount -= 1;
+      return {drop: true};
+    }
+    if (Date.now() < this.offlineUntil) {
+      return {drop: true};
+    }
+    let responseString = (request == null ? '{"err_code":-1,"err_msg":"invalid request"}' : JSON.stringify(this.processRequest(request)));
+    return {responseString, malformed: this.malformed.shift()};
+  }
+
+  /**
+   * @private
+   */
+  listenTcp () {
+    return new Promise((resolve, reject) => {
+      let server = net.createServer((socket) => this.onTcpConnection(socket));
+      server.once('error', reject);
+      server.listen(this.bindPort, this.bindAddress, () => {
+        server.removeListener('error', reject);
+        this.tcpServer = server;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  listenUdp (port) {
+    return new Promise((resolve, reject) => {
+      let socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', (msg, rinfo) => this.onUdpMessage(msg, rinfo));
+      socket.bind(port, this.bindAddress, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', () => {});
+        this.udpSocket = socket;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Bulbs keep the connection open, plugs close it after responding, as the real devices do.
+   * @private
+   */
+  onTcpConnection (socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    let pending = Promise.resolve();
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32BE(0)) {
+        let length = buffer.readUInt32BE(0);
+        let requestString = decrypt(buffer.slice(4, 4 + length)).toString('ascii');
+        buffer = buffer.slice(4 + length);
+        pending = pending.then(() => this.respond('tcp', requestString)).then((result) => {
+          if (socket.destroyed) return;
+          if (result.drop) {
+            socket.destroy();
+            return;
+          }
+          socket.write(frameResponse(result.responseString, result.malformed));
+          if (!isBulbType(this.type) || result.malformed) socket.end();
+        });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  onUdpMessage (msg, rinfo) {
+    let requestString = decrypt(msg).toString('ascii');
+    this.respond('udp', requestString).then((result) => {
+      if (result.drop || this.udpSocket == null) return;
+      let responseString = result.responseString;
+      if (result.malformed === 'truncated') {
+        responseString = responseString.slice(0, Math.floor(responseString.length / 2));
+      } else if (result.malformed) {
+        responseString = 'not json';
+      }
+      let response = encrypt(responseString);
+      this.udpSocket.send(response, 0, response.length, rinfo.port, rinfo.address);
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function frameResponse (responseString, malformed) {
+  switch (malformed) {
+    case 'truncated': {
+      let frame = encryptWithHeader(responseString);
+      return frame.slice(0, Math.floor(frame.length / 2));
+    }
+    case 'invalid-json':
+      return encryptWithHeader('not json');
+    case 'oversized': {
+      let frame = encryptWithHeader(responseString);
+      frame.writeUInt32BE(16 * 1024 * 1024, 0);
+      return frame;
+    }
+    default:
+      return encryptWithHeader(responseString);
+  }
+}
+
+/**
+ * Thrown by method handlers to respond with `err_code`/`err_msg`.
+ * @private
+ */
+class DeviceApiError extends Error {
+  constructor (errCode, errMsg) {
+    super(errMsg);
+    this.err_code = errCode;
+    this.err_msg = errMsg;
+  }
+}
+
+/**
+ * Time zone the clock is kept in, UTC for an index that is not in the firmware's table.
+ * @private
+ */
+function clockTimeZone (index) {
+  try {
+    return indexToTimeZone(index);
+  } catch (err) {
+    return 'Etc/UTC';
+  }
+}
+
+/**
+ * Light strips answer as bulbs, with extra modules.
+ * @private
+ */
+function isBulbType (type) {
+  return (type === 'bulb' || type === 'lightstrip');
+}
+
+/**
+ * @private
+ */
+function randomHex (length) {
+  return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length).toUpperCase();
+}
+
+/**
+ * @private
+ */
+function randomMac () {
+  return randomHex(12).match(/.{2}/g).join(':');
+}
+
+/**
+ * @private
+ */
+function defaultState ({type, model, emeter, sysInfo}) {
+  let common = {
+    sw_ver: '1.2.5 Build 171213 Rel.101523',
+    hw_ver: '1.0',
+    model,
+    deviceId: randomHex(40),
+    oemId: randomHex(32),
+    hwId: randomHex(32),
+    rssi: -50
+  };
+  let defaultSysInfo;
+  if (isBulbType(type)) {
+    defaultSysInfo = Object.assign(common, {
+      description: 'Smart Wi-Fi LED Bulb with Color Changing',
+      alias: 'Fake Bulb',
+      mic_type: 'IOT.SMARTBULB',
+      dev_state: 'normal',
+      mic_mac: randomMac().replace(/:/g, ''),
+      is_factory: false,
+      disco_ver: '1.0',
+      ctrl_protocols: {name: 'Linkie', version: '1.0'},
+      active_mode: 'none',
+      is_dimmable: 1,
+      is_color: 1,
+      is_variable_color_temp: 1,
+      light_state: {on_off: 1, mode: 'normal', hue: 0, saturation: 0, color_temp: 2700, brightness: 100},
+      preferred_state: []
+    });
+    if (type === 'lightstrip') {
+      Object.assign(defaultSysInfo, {
+        description: 'Kasa Smart Light Strip, Multicolor',
+        alias: 'Fake Light Strip',
+        length: 16,
+        lighting_effect_state: {enable: 0, name: '', custom: 0, id: '', brightness: 100}
+      });
+    }
+  } else {
+    defaultSysInfo = Object.assign(common, {
+      type: 'IOT.SMARTPLUGSWITCH',
+      mac: randomMac(),
+      dev_name: (type === 'dimmer' ? 'Smart Wi-Fi Dimmer' : 'Wi-Fi Smart Plug'),
+      alias: (type === 'dimmer' ? 'Fake Dimmer' : 'Fake Plug'),
+      relay_state: 0,
+      on_time: 0,
+      active_mode: 'none',
+      feature: (emeter ? 'TIM:ENE' : 'TIM'),
+      updating: 0,
+      icon_hash: '',
+      led_off: 0,
+      latitude_i: 0,
+      longitude_i: 0,
+      next_action: {type: -1}
+    });
+    if (type === 'dimmer') {
+      defaultSysInfo.brightness = 100;
+    }
+    if (type === 'strip') {
+      let childCount = (model.startsWith('HS107') ? 2 : (model.startsWith('KP303') ? 3 : 6));
+      delete defaultSysInfo.relay_state;
+      delete defaultSysInfo.on_time;
+      Object.assign(defaultSysInfo, {
+        dev_name: 'Smart Wi-Fi Power Strip',
+        alias: 'Fake Strip',
+        child_num: childCount,
+        children: Array.from({length: childCount}, (v, i) => ({
+          id: `${common.deviceId}0${i}`,
+          state: 0,
+          alias: `Fake Outlet ${i + 1}`,
+          on_time: 0,
+          next_action: {type: -1}
+        }))
+      });
+    }
+  }
+
+  let childRealtime = {};
+  if (emeter && type === 'strip') {
+    defaultSysInfo.children.forEach((child) => {
+      childRealtime[child.id] = {voltage_mv: 120000, current_ma: 0, power_mw: 0, total_wh: 0};
+    });
+  }
+
+  return {
+    sysInfo: Object.assign(defaultSysInfo, sysInfo),
+    cloudInfo: {username: '', server: 'devs.tplinkcloud.com', binded: 0, cld_connection: 0, illegalType: 0, tcspStatus: 0, fwDlPage: '', tcspInfo: '', stopConnect: 0, fwNotifyType: 0},
+    emeter: (emeter ? {
+      realtime: (isBulbType(type) ? {power_mw: 10800} : {voltage: 120.2, current: 0.05, power: 5.3, total: 0.12}),
+      childRealtime,
+      dayList: [],
+      vgain: 13462,
+      igain: 16835
+    } : null),
+    schedule: {enable: 1, rule_list: []},
+    countDown: {enable: 1, rule_list: []},
+    antiTheft: {enable: 1, rule_list: []},
+    timeOffset: 0,
+    timezoneIndex: 6,
+    scanList: [
+      {ssid: 'fake-network', key_type: 3, rssi: -60},
+      {ssid: 'fake-open-network', key_type: 0, rssi: -45}
+    ],
+    network: null,
+    segments: [],
+    lightingEffect: null,
+    dimmerParameters: {minThreshold: 0, fadeOnTime: 1000, fadeOffTime: 1000, gentleOnTime: 3000, gentleOffTime: 10000, rampRate: 30, bulb_type: 1},
+    rebootCount: 0,
+    firmware: {
+      list: [
+        {fwType: 2, fwUrl: 'http://download.tplinkcloud.com/firmware/fake.bin', fwVer: '1.2.6 Build 180101 Rel.120000', fwReleaseDate: '2018-01-01', fwReleaseLog: 'Fake update', fwReleaseLogUrl: '', fwTitle: 'Fake update', fwLocation: 0}
+      ],
+      download: null,
+      downloadStep: 50,
+      downloadFails: false,
+      rebootTime: 200
+    }
+  };
+}
+
+/**
+ * Builds `{[module]: {[method]: function (params, context)}}` operating on `fake.state`.
+ * @private
+ */
+function createApi (fake) {
+  let notExist = () => { throw new DeviceApiError(-14, 'entry not exist'); };
+
+  // Outlets selected by `context.child_ids` (ids may be in full or an index such as '00')
+  let contextChildren = (context) => {
+    if (context == null || !Array.isArray(context.child_ids)) return null;
+    return context.child_ids.map((id) => {
+      let child = (fake.state.sysInfo.children || []).find((c) => c.id === id || c.id === fake.state.sysInfo.deviceId + id);
+      if (child == null) notExist();
+      return child;
+    });
+  };
+
+  let rulesApi = (key, {maxRules = Infinity} = {}) => ({
+    get_rules: () => ({enable: fake.state[key].enable, version: 2, rule_list: fake.state[key].rule_list}),
+    add_rule: (rule) => {
+      if (fake.state[key].rule_list.length >= maxRules) {
+        throw new DeviceApiError(-10, 'table is full');
+      }
+      let added = Object.assign({}, rule, {id: randomHex(32)});
+      fake.state[key].rule_list.push(added);
+      return {id: added.id};
+    },
+    edit_rule: (rule) => {
+      let index = fake.state[key].rule_list.findIndex((r) => r.id === rule.id);
+      if (index === -1) notExist();
+      fake.state[key].rule_list[index] = Object.assign({}, rule);
+    },
+    delete_rule: ({id}) => {
+      let index = fake.state[key].rule_list.findIndex((r) => r.id === id);
+      if (index === -1) notExist();
+      fake.state[key].rule_list.splice(index, 1);
+    },
+    delete_all_rules: () => {
+      fake.state[key].rule_list = [];
+    },
+    set_overall_enable: ({enable}) => {
+      fake.state[key].enable = enable;
+    }
+  });
+
+  let schedule = Object.assign(rulesApi('schedule'), {
+    get_next_action: () => ({type: -1})
+  });
+
+  let time = {
+    get_time: () => {
+      let fields = dateToTimeFields(new Date(Date.now() + fake.state.timeOffset), clockTimeZone(fake.state.timezoneIndex));
+      let wday = new Date(Date.UTC(fields.year, fields.month - 1, fields.mday)).getUTCDay();
+      return Object.assign(fields, {wday});
+    },
+    set_time: (params) => {
+      fake.state.timeOffset = timeFieldsToDate(params, clockTimeZone(fake.state.timezoneIndex)).getTime() - Date.now();
+    },
+    get_timezone: () => ({index: fake.state.timezoneIndex}),
+    set_timezone: (params) => {
+      fake.state.timezoneIndex = params.index;
+      if (params.year != null) time.set_time(params);
+    }
+  };
+
+  let emeterEnergyKey = (isBulbType(fake.type) ? 'energy_wh' : 'energy');
+  let emeter = {
+    get_realtime: (params, context) => {
+      let children = contextChildren(context);
+      return (children ? fake.state.emeter.childRealtime[children[0].id] : fake.state.emeter.realtime);
+    },
+    get_daystat: ({year, month}) => ({
+      day_list: fake.state.emeter.dayList.filter((d) => d.year === year && d.month === month)
+    }),
+    get_monthstat: ({year}) => {
+      let months = new Map();
+      fake.state.emeter.dayList.filter((d) => d.year === year).forEach((d) => {
+        months.set(d.month, (months.get(d.month) || 0) + d[emeterEnergyKey]);
+      });
+      let monthList = [];
+      months.forEach((energy, month) => monthList.push({year, month, [emeterEnergyKey]: energy}));
+      return {month_list: monthList.sort((a, b) => a.month - b.month)};
+    },
+    erase_emeter_stat: () => {
+      fake.state.emeter.dayList = [];
+    },
+    get_vgain_igain: () => ({vgain: fake.state.emeter.vgain, igain: fake.state.emeter.igain}),
+    set_vgain_igain: ({vgain, igain}) => {
+      fake.state.emeter.vgain = vgain;
+      fake.state.emeter.igain = igain;
+    }
+  };
+
+  let system = {
+    get_sysinfo: () => fake.state.sysInfo,
+    set_dev_alias: ({alias}, context) => {
+      let children = contextChildren(context);
+      if (children) {
+        children.forEach((child) => { child.alias = alias; });
+      } else {
+        fake.state.sysInfo.alias = alias;
+      }
+    },
+    reboot: () => {
+      fake.state.rebootCount += 1;
+    },
+    download_firmware: ({url}) => {
+      let firmware = fake.state.firmware.list.find((fw) => fw.fwUrl === url);
+      fake.state.firmware.download = {url, ratio: 0, swVer: (firmware ? firmware.fwVer : fake.state.sysInfo.sw_ver)};
+    },
+    get_download_state: () => {
+      let download = fake.state.firmware.download;
+      if (download == null) return {status: 0, ratio: 0, reboot_time: 0, flash_time: 0};
+      if (fake.state.firmware.downloadFails) return {status: -1, ratio: download.ratio, reboot_time: 0, flash_time: 0};
+      download.ratio = Math.min(100, download.ratio + fake.state.firmware.downloadStep);
+      return {status: (download.ratio < 100 ? 1 : 2), ratio: download.ratio, reboot_time: 10, flash_time: 30};
+    },
+    flash_firmware: () => {
+      let download = fake.state.firmware.download;
+      if (download == null || download.ratio < 100) {
+        throw new DeviceApiError(-4, 'firmware not downloaded');
+      }
+      fake.state.firmware.download = null;
+      fake.state.sysInfo.sw_ver = download.swVer;
+      fake.state.rebootCount += 1;
+      fake.offlineUntil = Date.now() + fake.state.firmware.rebootTime;
+    }
+  };
+
+  let cloud = {
+    get_info: () => fake.state.cloudInfo,
+    get_intl_fw_list: () => ({fw_list: fake.state.firmware.list})
+  };
+
+  let netif = {
+    get_scaninfo: () => ({ap_list: fake.state.scanList}),
+    set_stainfo: ({ssid, password, key_type: keyType}) => {
+      fake.state.network = {ssid, password, keyType};
+    }
+  };
+
+  let api = {netif};
+
+  if (isBulbType(fake.type)) {
+    Object.assign(api, {
+      'system': {get_sysinfo: system.get_sysinfo},
+      'smartlife.iot.common.system': system,
+      'smartlife.iot.common.cloud': cloud,
+      'smartlife.iot.common.schedule': schedule,
+      'smartlife.iot.common.anti_theft': rulesApi('antiTheft'),
+      'smartlife.iot.common.timesetting': time,
+      'smartlife.iot.smartbulb.lightingservice': {
+        get_light_state: () => fake.state.sysInfo.light_state,
+        transition_light_state: (params) => {
+          let lightState = fake.state.sysInfo.light_state;
+          ['on_off', 'mode', 'hue', 'saturation', 'color_temp', 'brightness'].forEach((key) => {
+            if (params[key] !== undefined) lightState[key] = params[key];
+          });
+          if (fake.type === 'lightstrip') fake.state.sysInfo.lighting_effect_state.enable = 0;
+          return lightState;
+        }
+      }
+    });
+    if (fake.state.emeter) api['smartlife.iot.common.emeter'] = emeter;
+    if (fake.type === 'lightstrip') {
+      api['smartlife.iot.lightStrip'] = {
+        set_light_state: ({groups = []}) => {
+          groups.forEach(([start, end, hue, saturation, brightness, colorTemp]) => {
+            if (end >= fake.state.sysInfo.length) throw new DeviceApiError(-3, 'invalid argument');
+            for (let i = start; i <= end; i++) fake.state.segments[i] = {hue, saturation, brightness, color_temp: colorTemp};
+          });
+          fake.state.sysInfo.lighting_effect_state.enable = 0;
+        }
+      };
+      api['smartlife.iot.lighting_effect'] = {
+        set_lighting_effect: (effect) => {
+          fake.state.lightingEffect = effect;
+          fake.state.sysInfo.lighting_effect_state = {enable: effect.enable, name: effect.name, custom: effect.custom, id: effect.id, brightness: effect.brightness};
+        },
+        get_lighting_effect: () => fake.state.lightingEffect || {}
+      };
+    }
+    return api;
+  }
+
+  Object.assign(system, {
+    set_relay_state: ({state: relayState}, context) => {
+      if (fake.type === 'strip') {
+        (contextChildren(context) || fake.state.sysInfo.children).forEach((child) => {
+          child.state = relayState;
+          child.on_time = 0;
+        });
+        return;
+      }
+      fake.state.sysInfo.relay_state = relayState;
+      fake.state.sysInfo.on_time = 0;
+    },
+    set_led_off: ({off}) => {
+      fake.state.sysInfo.led_off = off;
+    }
+  });
+  Object.assign(api, {
+    system,
+    cnCloud: cloud,
+    schedule,
+    count_down: rulesApi('countDown', {maxRules: 1}),
+    anti_theft: rulesApi('antiTheft'),
+    time
+  });
+  if (fake.state.emeter) api.emeter = emeter;
+  if (fake.type === 'dimmer') {
+    let parameter = (name, key) => (params) => {
+      fake.state.dimmerParameters[name] = params[key];
+    };
+    api['smartlife.iot.dimmer'] = {
+      set_brightness: ({brightness}) => {
+        fake.state.sysInfo.brightness = brightness;
+      },
+      get_dimmer_parameters: () => fake.state.dimmerParameters,
+      set_fade_on_time: parameter('fadeOnTime', 'fadeTime'),
+      set_fade_off_time: parameter('fadeOffTime', 'fadeTime'),
+      set_gentle_on_time: parameter('gentleOnTime', 'duration'),
+      set_gentle_off_time: parameter('gentleOffTime', 'duration')
+    };
+  }
+  return api;
+}
+
+module.exports = FakeDevice;
@@ -9,9 +9,119 @@ module.exports = {
    * @type {Client}
    */
   Client: require('./client'),
+  /**
+   * Device without a more specific type, base class of the other device classes
+   * @type {Device}
+   */
+  Device: require('./device'),
+  /**
+   * Plug and switch devices
+   * @type {Plug}
+   */
+  Plug: require('./plug'),
+  /**
+   * Bulb devices
+   * @type {Bulb}
+   */
+  Bulb: require('./bulb'),
+  /**
+   * Power strip devices with separately switched outlets
+   * @type {PowerStrip}
+   */
+  PowerStrip: require('./power-strip'),
+  /**
+   * Outlet of a power strip
+   * @type {Outlet}
+   */
+  Outlet: require('./outlet'),
+  /**
+   * Dimmer switch devices
+   * @type {Dimmer}
+   */
+  Dimmer: require('./dimmer'),
+  /**
+   * Light strip devices
+   * @type {LightStrip}
+   */
+  LightStrip: require('./light-strip'),
   /**
    * TP-Link Device Crypto
    * @type {module:tplink-crypto}
    */
-  TplinkCrypto: require('./tplink-crypto')
+  TplinkCrypto: require('./tplink-crypto'),
+  /**
+   * Recorded requests and responses, see {@link Client}'s `recordTo` and `replayFrom`
+   * @type {Recording}
+   */
+  Recording: require('./recording').Recording,
+  /**
+   * Creates a device schedule rule from JS-friendly input
+   * @type {Function}
+   */
+  createScheduleRule: require('./schedule').createScheduleRule,
+  /**
+   * Converts a device schedule rule to JS-friendly input
+   * @type {Function}
+   */
+  parseScheduleRule: require('./schedule').parseScheduleRule,
+  /**
+   * Creates a device away (anti-theft) rule from JS-friendly input
+   * @type {Function}
+   */
+  createAwayRule: require('./schedule').createAwayRule,
+  /**
+   * Converts a device away (anti-theft) rule to JS-friendly input
+   * @type {Function}
+   */
+  parseAwayRule: require('./schedule').parseAwayRule,
+  /**
+   * Converts an IANA time zone name to the device's timezone index
+   * @type {Function}
+   */
+  timeZoneToIndex: require('./timezone').timeZoneToIndex,
+  /**
+   * Converts the device's timezone index to an IANA time zone name
+   * @type {Function}
+   */
+  indexToTimeZone: require('./timezone').indexToTimeZone,
+  /**
+   * Returns the friendly name and color temperature range of a device model
+   * @type {Function}
+   */
+  getModelInfo: require('./capabilities').getModelInfo,
+  /**
+   * Device responded with a non-zero `err_code`
+   * @type {ResponseError}
+   */
+  ResponseError: require('./utils').ResponseError,
+  /**
+   * Device did not respond in time
+   * @type {TimeoutError}
+   */
+  TimeoutError: require('./utils').TimeoutError,
+  /**
+   * Connection to device failed or was lost
+   * @type {ConnectionError}
+   */
+  ConnectionError: require('./utils').ConnectionError,
+  /**
+   * Device's response could not be decoded
+   * @type {ProtocolError}
+   */
+  ProtocolError: require('./utils').ProtocolError,
+  /**
+   * Device's response was not valid JSON
+   * @type {ParseError}
+   */
+  ParseError: require('./utils').ParseError,
+  /**
+   * Request was cancelled with an `AbortSignal`
+   * @type {AbortError}
+   */
+  AbortError: require('./utils').AbortError,
+  /**
+   * Device does not support the method that was called
+   * @type {CapabilityError}
+   */
+  CapabilityError: require('./utils').CapabilityError
 };
@@ -0,0 +1,213 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const Bulb = require('./bulb');
+
+/**
+ * Definitions of built in lighting effects, as sent by the Kasa app with `set_lighting_effect`.
+ * @private
+ */
+const BUILT_IN_EFFECTS = [
+  {custom: 0, id: 'xqUxDhbAhNLqulcuRMyPBmVGyTOyEMEu', brightness: 100, name: 'Aurora', segments: [0], expansion_strategy: 1, enable: 1, type: 'sequence', duration: 0, transition: 1500, direction: 4, spread: 7, repeat_times: 0, sequence: [[120, 100, 100], [240, 100, 100], [260, 100, 100], [280, 100, 100]]},
+  {custom: 0, id: 'oJjUMosgEMrdumfPANKbkFmBcAdEQsPy', brightness: 30, name: 'Ocean', segments: [0], expansion_strategy: 1, enable: 1, type: 'sequence', duration: 0, transition: 2000, direction: 3, spread: 16, repeat_times: 0, sequence: [[198, 84, 30], [198, 70, 30], [198, 10, 30]]},
+  {custom: 0, id: 'izRhLCQNcDzIKdpMPqSTtBMuAIoreAuT', brightness: 100, name: 'Rainbow', segments: [0], expansion_strategy: 1, enable: 1, type: 'sequence', duration: 0, transition: 1500, direction: 1, spread: 12, repeat_times: 0, sequence: [[0, 100, 100], [100, 100, 100], [200, 100, 100], [300, 100, 100]]}
+];
+
+const EFFECT_TYPES = ['sequence', 'random'];
+
+/**
+ * Light Strip Device.
+ *
+ * TP-Link models: KL400, KL420, KL430.
+ *
+ * Has the light state, events and other features of a {@link Bulb}, plus segment colors
+ * (`smartlife.iot.lightStrip`) and lighting effects (`smartlife.iot.lighting_effect`).
+ * @extends Bulb
+ * @extends Device
+ * @extends EventEmitter
+ */
+class LightStrip extends Bulb {
+  /**
+   * Created by {@link Client} - Do not instantiate directly.
+   *
+   * See {@link Device#constructor} for common options.
+   * @param  {Object} options
+   */
+  constructor (options) {
+    super(options);
+
+    this.log.debug('lightStrip.constructor()');
+
+    Object.assign(this.apiModuleNamespace, {
+      'lightStrip': 'smartlife.iot.lightStrip',
+      'lightingEffect': 'smartlife.iot.lighting_effect'
+    });
+
+    /**
+     * Effects added with {@link #defineEffect}, by lower case name.
+     * @private
+     */
+    this.customEffects = new Map();
+  }
+
+  get batchMethods () {
+    return super.batchMethods.concat(['getEffect']);
+  }
+
+  /**
+   * Returns cached number of segments from last retrieval of `system.sys_info`.
+   * @return {number}
+   */
+  get length () {
+    return this.sysInfo.length;
+  }
+
+  /**
+   * Sets the color of segments.
+   *
+   * Sends `smartlife.iot.lightStrip.set_light_state` command with a `groups` entry for each of `segments`.
+   * Segments are numbered from `0` to {@link #length} - 1.
+   * @param  {Object[]} segments
+   * @param  {number}   segments[].start
+   * @param  {number}   [segments[].end=start]  last segment, inclusive
+   * @param  {number}   segments[].hue          0-360
+   * @param  {number}   segments[].saturation   0-100
+   * @param  {number}   segments[].brightness   0-100
+   * @param  {number}   [segments[].color_temp=0] (Kelvin) `0` to use `hue` and `saturation`
+   * @param  {Object}   [options]
+   * @param  {number}   [options.transition_period=0] (ms)
+   * @param  {Object}   [sendOptions] see {@link Device#send}
+   * @return {Promise<boolean, ResponseError>}
+   * @throws {TypeError|RangeError} when `segments` is invalid
+   * @throws {CapabilityError} when the device does not support `segments`
+   */
+  async setSegmentColors (segments, {transition_period: transitionPeriod = 0} = {}, sendOptions) {
+    this.requireCapability('segments', 'lightStrip.setSegmentColors');
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new TypeError('lightStrip.setSegmentColors: segments must be a non-empty array');
+    }
+    const groups = segments.map(({start, end = start, hue, saturation, brightness, color_temp: colorTemp = 0}) => {
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || (this.length != null && end >= this.length)) {
+        throw new RangeError(`lightStrip.setSegmentColors: invalid segment range: ${start}-${end}`);
+      }
+      validateRange('hue', hue, 360);
+      validateRange('saturation', saturation, 100);
+      validateRange('brightness', brightness, 100);
+      return [start, end, hue, saturation, brightness, colorTemp];
+    });
+    this.log.debug('[%s] lightStrip.setSegmentColors(%j)', this.name, groups);
+    await this.sendCommand({ [this.apiModuleNamespace.lightStrip]: {set_light_state: {groups, transition: transitionPeriod}} }, sendOptions);
+    return true;
+  }
+
+  /**
+   * Returns names of the built in effects and those added with {@link #defineEffect}.
+   * @return {string[]}
+   */
+  listEffects () {
+    return BUILT_IN_EFFECTS.map((effect) => effect.name)
+      .concat(Array.from(this.customEffects.values()).map((effect) => effect.name));
+  }
+
+  /**
+   * Adds a custom effect that can then be applied by name with {@link #setEffect}.
+   *
+   * Unspecified properties are given the same defaults as the built in effects. A custom effect with the same name
+   * is replaced.
+   * @param  {Object}   effect
+   * @param  {string}   effect.name
+   * @param  {string}   [effect.type='sequence']  'sequence' or 'random'
+   * @param  {Array<number[]>} [effect.sequence] `[hue, saturation, brightness]` of each step, required for 'sequence'
+   * @param  {number}   [effect.brightness=100]   0-100
+   * @param  {number}   [effect.transition=1000]  (ms)
+   * @return {Object} definition sent to the device by {@link #setEffect}
+   * @throws {TypeError|RangeError} when `effect` is invalid
+   */
+  defineEffect (effect) {
+    if (effect == null || typeof effect.name !== 'string' || effect.name === '') {
+      throw new TypeError('lightStrip.defineEffect: name must be specified');
+    }
+    const definition = Object.assign({
+      custom: 1,
+      id: crypto.randomBytes(16).toString('hex'),
+      brightness: 100,
+      segments: [0],
+      expansion_strategy: 1,
+      enable: 1,
+      type: 'sequence',
+      duration: 0,
+      transition: 1000,
+      direction: 1,
+      spread: 1,
+      repeat_times: 0
+    }, effect);
+    if (!EFFECT_TYPES.includes(definition.type)) {
+      throw new RangeError(`lightStrip.defineEffect: type must be one of ${EFFECT_TYPES.join(', ')}: ${definition.type}`);
+    }
+    if (definition.type === 'sequence' && (!Array.isArray(definition.sequence) || definition.sequence.length === 0)) {
+      throw new TypeError('lightStrip.defineEffect: sequence must be a non-empty array');
+    }
+    validateRange('brightness', definition.brightness, 100);
+    this.customEffects.set(definition.name.toLowerCase(), definition);
+    return definition;
+  }
+
+  /**
+   * Applies a lighting effect.
+   *
+   * Sends `smartlife.iot.lighting_effect.set_lighting_effect` command with the full definition of the effect.
+   * Setting the light state (such as with {@link Bulb#setLightState}) stops the effect.
+   * @param  {string|Object}  effect name of a built in effect or one added with {@link #defineEffect} (case insensitive), or a definition
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<boolean, ResponseError>}
+   * @throws {RangeError} when there is no effect named `effect`
+   * @throws {CapabilityError} when the device does not support `lightingEffects`
+   */
+  async setEffect (effect, sendOptions) {
+    this.requireCapability('lightingEffects', 'lightStrip.setEffect');
+    let definition = effect;
+    if (typeof effect === 'string') {
+      const name = effect.toLowerCase();
+      definition = this.customEffects.get(name) || BUILT_IN_EFFECTS.find((e) => e.name.toLowerCase() === name);
+      if (definition == null) {
+        throw new RangeError(`lightStrip.setEffect: unknown effect: ${effect}`);
+      }
+    }
+    this.log.debug('[%s] lightStrip.setEffect(%s)', this.name, definition.name);
+    await this.sendCommand({ [this.apiModuleNamespace.lightingEffect]: {set_lighting_effect: Object.assign({}, definition, {enable: 1})} }, sendOptions);
+    this.sysInfo.lighting_effect_state = {
+      enable: 1,
+      name: definition.name,
+      custom: definition.custom,
+      id: definition.id,
+      brightness: definition.brightness
+    };
+    return true;
+  }
+
+  /**
+   * Gets the active lighting effect.
+   *
+   * Requests `system.sys_info` from device.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<?Object, ResponseError>} `{name, id, custom, brightness}`, or `null` when no effect is active
+   */
+  async getEffect (sendOptions) {
+    const sysInfo = await this.getSysInfo(sendOptions);
+    const state = sysInfo.lighting_effect_state;
+    if (state == null || state.enable !== 1) return null;
+    return {name: state.name, id: state.id, custom: state.custom, brightness: state.brightness};
+  }
+}
+
+/**
+ * @private
+ */
+function validateRange (name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new RangeError(`lightStrip: ${name} must be an integer from 0 to ${max}: ${value}`);
+  }
+}
+
+module.exports = LightStrip;
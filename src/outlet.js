@@ -0,0 +1,114 @@
+'use strict';
+
+const Plug = require('./plug');
+
+/**
+ * Outlet of a {@link PowerStrip}.
+ *
+ * Behaves as a {@link Plug} (with its own alias, relay state, energy monitoring on HS300 and events).
+ * Commands are sent through the strip with a `context: {child_ids: [childId]}` wrapper.
+ * @extends Plug
+ * @extends Device
+ * @extends EventEmitter
+ */
+class Outlet extends Plug {
+  /**
+   * Created by {@link PowerStrip} - Do not instantiate directly.
+   *
+   * See {@link Plug#constructor} for common options.
+   * @param  {Object}     options
+   * @param  {PowerStrip} options.parent
+   * @param  {string}     options.childId   id from the strip's `sysInfo.children`
+   * @param  {Object}     [options.sysInfo] the strip's `sysInfo`
+   */
+  constructor (options = {}) {
+    super(Object.assign({}, options, {sysInfo: undefined}));
+
+    this.parent = options.parent;
+    /**
+     * Id used in `context.child_ids`: the strip's `deviceId` followed by the child's index (such as `'00'`).
+     * @type {string}
+     */
+    this.childId = fullChildId(options.parent.deviceId, options.childId);
+
+    if (options.sysInfo) {
+      // As for Plug, events start with the first update after construction
+      this.emitEventsEnabled = false;
+      this.sysInfo = options.sysInfo;
+      this.emitEventsEnabled = true;
+    }
+  }
+
+  get sysInfo () {
+    return super.sysInfo;
+  }
+
+  /**
+   * Accepts the strip's `sysInfo` (as returned by `system.get_sysinfo`) and keeps this outlet's part.
+   *
+   * `alias`, `relay_state`, `on_time` and `next_action` are this outlet's, `deviceId` is `childId`
+   * and `parentId` is the strip's `deviceId`. Other properties are the strip's.
+   * @private
+   */
+  set sysInfo (sysInfo) {
+    super.sysInfo = (Array.isArray(sysInfo.children) ? outletSysInfo(sysInfo, this.childId) : sysInfo);
+  }
+
+  /**
+   * Requests the strip's `system.get_sysinfo` (which updates every outlet), then this outlet's `emeter.get_realtime`
+   * (with `context`) if the strip has energy monitoring (HS300).
+   *
+   * Unlike {@link Plug#getInfo}, modules that are not per outlet (`cnCloud`, `schedule`) are not requested.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} `{sysInfo, consumption}`, `consumption` is `undefined` without energy monitoring
+   */
+  async getInfo (sendOptions) {
+    await this.parent.getSysInfo(sendOptions);
+    let consumption = (this.supportsConsumption ? await this.getConsumption(sendOptions) : undefined);
+    return {sysInfo: this.sysInfo, consumption};
+  }
+
+  /**
+   * Sends `payload` through the strip, with `context: {child_ids: [childId]}` added.
+   *
+   * See {@link Device#send}.
+   * @param  {Object|string}  payload
+   * @param  {Object|number}  [sendOptions]
+   * @return {Promise<Object, Error>} parsed JSON response
+   */
+  async send (payload, sendOptions) {
+    let payloadObj = ((typeof payload === 'string' || payload instanceof String) ? JSON.parse(payload) : payload);
+    return this.parent.send(Object.assign({context: {child_ids: [this.childId]}}, payloadObj), sendOptions);
+  }
+}
+
+/**
+ * @private
+ */
+function outletSysInfo (stripSysInfo, childId) {
+  let child = stripSysInfo.children.find((c) => fullChildId(stripSysInfo.deviceId, c.id) === childId);
+  if (child == null) {
+    throw new Error(`outlet: ${childId} not found in sysInfo.children`);
+  }
+  let sysInfo = Object.assign({}, stripSysInfo, {
+    alias: child.alias,
+    relay_state: child.state,
+    on_time: child.on_time,
+    next_action: child.next_action,
+    deviceId: childId,
+    parentId: stripSysInfo.deviceId
+  });
+  delete sysInfo.children;
+  delete sysInfo.child_num;
+  return sysInfo;
+}
+
+/**
+ * Child ids are reported either in full or as an index (such as `'00'`) to be prefixed with the strip's `deviceId`.
+ * @private
+ */
+function fullChildId (deviceId, id) {
+  return (id.startsWith(deviceId) ? id : deviceId + id);
+}
+
+module.exports = Outlet;
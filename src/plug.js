@@ -1,6 +1,10 @@
 'use strict';
 
 const Device = require('./device');
+const AbortError = require('./utils').AbortError;
+const delay = require('./utils').delay;
+const normalizeConsumption = require('./utils').normalizeConsumption;
+const createAwayRule = require('./schedule').createAwayRule;
 
 /**
  * Plug Device.
@@ -17,6 +21,7 @@ const Device = require('./device');
  * @emits  Plug#not-in-use
  * @emits  Plug#in-use-update
  * @emits  Plug#consumption-update
+ * @emits  Plug#timer-elapsed
  */
 class Plug extends Device {
   /**
@@ -45,6 +50,12 @@ class Plug extends Device {
 
     this.lastState = Object.assign(this.lastState, { powerOn: null, inUse: null });
 
+    /**
+     * Countdown timer added by {@link #addTimerRule} (or read by {@link #getTimerRules}) that has not elapsed yet.
+     * @type {?Object}
+     */
+    this.activeTimer = null;
+
     this.emitEventsEnabled = true;
   }
 
@@ -56,19 +67,21 @@ class Plug extends Device {
    * @private
    */
   set sysInfo (sysInfo) {
+    let wasPowerOn = (this.lastState ? this.lastState.powerOn : null);
     super.sysInfo = sysInfo;
-    try {
-      this.supportsConsumption = (sysInfo.feature.includes('ENE'));
-    } catch (e) {
-      this.supportsConsumption = false;
-    }
+    this.supportsConsumption = this.supports('emeter');
     this.log.debug('[%s] plug sysInfo set', this.name);
     this.emitEvents();
+    this.emitTimerEvents(wasPowerOn);
+  }
+
+  get batchMethods () {
+    return super.batchMethods.concat(['getInUse', 'getPowerState', 'getAwayRules', 'getTimerRules', 'getLedState']);
   }
 
   /**
-   * Returns cached results from last retrieval of `emeter.get_realtime`.
-   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * Returns cached results from last retrieval of `emeter.get_realtime`, with both unit families, see {@link Device#getConsumption}.
+   * @return {Object}
    */
   get consumption () { return this._consumption; }
   /**
@@ -84,7 +97,7 @@ class Plug extends Device {
   /**
    * Determines if device is in use based on cached `emeter.get_realtime` results.
    *
-   * If device supports energy monitoring (HS110): `power > inUseThreshold`
+   * If device supports energy monitoring (HS110): `power > inUseThreshold` (W, regardless of hardware version)
    *
    * Otherwise fallback on relay state:  `relay_state === 1`
    * @return {boolean}
@@ -99,15 +112,16 @@ class Plug extends Device {
 
   /**
    * Same as {@link #inUse}, but requests current `emeter.get_realtime`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async getInUse () {
+  async getInUse (sendOptions) {
     // TODO optimize for only one operation
     if (this.supportsConsumption) {
-      let consumption = await this.getConsumption();
+      let consumption = await this.getConsumption(sendOptions);
       return (consumption.power > this.inUseThreshold);
     }
-    let si = await this.getSysInfo();
+    let si = await this.getSysInfo(sendOptions);
     return (si.relay_state === 1);
   }
 
@@ -190,32 +204,79 @@ class Plug extends Device {
     }
   }
 
+  /**
+   * Plug's relay flipped to the state of its countdown timer at about the time the timer ended.
+   *
+   * Inferred when the relay state is updated from the device (such as by {@link #getSysInfo} or {@link #getInfo}),
+   * so is only emitted when polling.
+   * @event Plug#timer-elapsed
+   * @property {Object} value timer `{id, name, powerState, delaySeconds, endsAt}` see {@link #activeTimer}
+   */
+
+  /**
+   * @private
+   */
+  emitTimerEvents (wasPowerOn) {
+    if (!this.emitEventsEnabled || this.activeTimer == null) { return; }
+
+    const timer = this.activeTimer;
+    const powerOn = (this.sysInfo.relay_state === 1);
+    // Allow for the device's clock and the request being slightly ahead of ours
+    if (Date.now() < timer.endsAt - 1000 || powerOn !== timer.powerState) { return; }
+
+    this.activeTimer = null;
+    if (wasPowerOn != null && wasPowerOn !== powerOn) {
+      this.log.debug('[%s] plug timer elapsed: %j', this.name, timer);
+      this.emit('timer-elapsed', this, timer);
+    }
+  }
+
   /**
    * Requests common Plug status details in a single request.
    * - `system.get_sysinfo`
    * - `cloud.get_sysinfo`
    * - `emeter.get_realtime`
    * - `schedule.get_next_action`
-   * @return {Promise<Object, Error>} parsed JSON response
-   */
-  async getInfo () {
-    // TODO switch to sendCommand, but need to handle error for devices that don't support emeter
-    let data = await this.send('{"emeter":{"get_realtime":{}},"schedule":{"get_next_action":{}},"system":{"get_sysinfo":{}},"cnCloud":{"get_info":{}}}');
-    this.sysInfo = data.system.get_sysinfo;
-    this.cloudInfo = data.cnCloud.get_info;
-    this.consumption = data.emeter.get_realtime;
-    this.scheduleNextAction = data.schedule.get_next_action;
-    return {sysInfo: this.sysInfo, cloudInfo: this.cloudInfo, consumption: this.consumption, scheduleNextAction: this.scheduleNextAction};
+   *
+   * `consumption` is `undefined` for plugs without energy monitoring.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async getInfo (sendOptions) {
+    let results = await this.sendCommand({
+      [this.apiModuleNamespace.emeter]: {get_realtime: {}},
+      [this.apiModuleNamespace.schedule]: {get_next_action: {}},
+      [this.apiModuleNamespace.system]: {get_sysinfo: {}},
+      [this.apiModuleNamespace.cloud]: {get_info: {}}
+    }, Object.assign({}, sendOptions, {partialResults: true}));
+
+    let value = (moduleName, method) => {
+      let result = results[this.apiModuleNamespace[moduleName]][method];
+      if (result.error && result.supported) { throw result.error; }
+      return result.value;
+    };
+
+    let sysInfo = value('system', 'get_sysinfo');
+    let cloudInfo = value('cloud', 'get_info');
+    let consumption = value('emeter', 'get_realtime');
+    let scheduleNextAction = value('schedule', 'get_next_action');
+
+    this.sysInfo = sysInfo;
+    this.cloudInfo = cloudInfo;
+    if (consumption) { this.consumption = normalizeConsumption(consumption); }
+    this.scheduleNextAction = scheduleNextAction;
+    return {sysInfo: this.sysInfo, cloudInfo: this.cloudInfo, consumption: (consumption && this.consumption), scheduleNextAction: this.scheduleNextAction};
   }
 
   /**
    * Get Plug relay state (on/off).
    *
    * Requests `system.get_sysinfo` and returns true if `relay_state === 1`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async getPowerState () {
-    let sysInfo = await this.getSysInfo();
+  async getPowerState (sendOptions) {
+    let sysInfo = await this.getSysInfo(sendOptions);
     return (sysInfo.relay_state === 1);
   }
 
@@ -224,11 +285,12 @@ class Plug extends Device {
    *
    * Sends `system.set_relay_state` command.
    * @param  {boolean}  value
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async setPowerState (value) {
+  async setPowerState (value, sendOptions) {
     this.log.debug('[%s] plug.setPowerState(%s)', this.name, value);
-    await this.sendCommand(`{"system":{"set_relay_state":{"state":${(value ? 1 : 0)}}}}`);
+    await this.sendCommand(`{"system":{"set_relay_state":{"state":${(value ? 1 : 0)}}}}`, sendOptions);
     this.sysInfo.relay_state = (value ? 1 : 0);
     this.emitEvents();
     return true;
@@ -237,28 +299,204 @@ class Plug extends Device {
    * Get Away Rules.
    *
    * Requests `anti_theft.get_rules`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async getAwayRules (sendOptions) {
+    return this.sendCommand(`{"anti_theft":{"get_rules":{}}}`, sendOptions);
+  }
+  /**
+   * Adds Away Rule.
+   *
+   * Sends `anti_theft.add_rule` command.
+   * @param  {Object}  rule see {@link module:schedule.createAwayRule createAwayRule}
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{id}`
+   * @throws {TypeError|RangeError} when `rule` is invalid
+   */
+  async addAwayRule (rule, sendOptions) {
+    return this.sendCommand({anti_theft: {add_rule: createAwayRule(rule)}}, sendOptions);
+  }
+  /**
+   * Edits Away Rule.
+   *
+   * Sends `anti_theft.edit_rule` command. The rule is replaced, not merged.
+   * @param  {Object}  rule see {@link module:schedule.createAwayRule createAwayRule}
+   * @param  {string}  rule.id
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {TypeError|RangeError} when `rule` is invalid
+   */
+  async editAwayRule (rule, sendOptions) {
+    if (rule == null || rule.id == null) {
+      throw new TypeError('plug.editAwayRule: rule.id is required');
+    }
+    return this.sendCommand({anti_theft: {edit_rule: Object.assign({id: rule.id}, createAwayRule(rule))}}, sendOptions);
+  }
+  /**
+   * Deletes Away Rule.
+   *
+   * Sends `anti_theft.delete_rule` command.
+   * @param  {string}  id
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async deleteAwayRule (id, sendOptions) {
+    return this.sendCommand({anti_theft: {delete_rule: {id}}}, sendOptions);
+  }
+  /**
+   * Deletes All Away Rules.
+   *
+   * Sends `anti_theft.delete_all_rules` command.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   */
+  async deleteAllAwayRules (sendOptions) {
+    return this.sendCommand('{"anti_theft":{"delete_all_rules":{}}}', sendOptions);
+  }
+  /**
+   * Enables or Disables Away mode (all Away Rules).
+   *
+   * Sends `anti_theft.set_overall_enable` command.
+   * @param  {boolean} enable
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
    */
-  async getAwayRules () {
-    return this.sendCommand(`{"anti_theft":{"get_rules":{}}}`);
+  async setAwayOverallEnable (enable, sendOptions) {
+    return this.sendCommand({anti_theft: {set_overall_enable: {enable: (enable ? 1 : 0)}}}, sendOptions);
   }
   /**
    * Get Timer Rules.
    *
    * Requests `count_down.get_rules`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the plug does not support `timer`
+   */
+  async getTimerRules (sendOptions) {
+    this.requireCapability('timer', 'plug.getTimerRules');
+    let rules = await this.sendCommand(`{"count_down":{"get_rules":{}}}`, sendOptions);
+    let active = (rules.rule_list || []).find((rule) => rule.enable === 1 && rule.remain > 0);
+    if (active) {
+      this.activeTimer = timerFromRule(active, active.remain);
+    }
+    return rules;
+  }
+  /**
+   * Adds Timer Rule (countdown).
+   *
+   * Sends `count_down.add_rule` command.
+   *
+   * Devices only allow one timer rule, so existing rules are deleted first unless `deleteExisting` is false,
+   * in which case the Promise is rejected with {@link ResponseError} if a rule exists.
+   * @param  {Object}  options
+   * @param  {number}  options.delaySeconds  seconds until `powerState` is set
+   * @param  {boolean} options.powerState    true: turn on, false: turn off
+   * @param  {string}  [options.name='timer']
+   * @param  {boolean} [options.enable=true]
+   * @param  {boolean} [options.deleteExisting=true]
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{id}`
+   * @throws {TypeError|RangeError} when `options` are invalid
+   * @throws {CapabilityError} when the plug does not support `timer`
+   */
+  async addTimerRule ({delaySeconds, powerState, name = 'timer', enable = true, deleteExisting = true} = {}, sendOptions) {
+    this.requireCapability('timer', 'plug.addTimerRule');
+    let rule = createTimerRule({delaySeconds, powerState, name, enable});
+    if (deleteExisting) {
+      await this.deleteAllTimerRules(sendOptions);
+    }
+    let response = await this.sendCommand({count_down: {add_rule: rule}}, sendOptions);
+    this.activeTimer = (enable ? timerFromRule(Object.assign({id: response.id}, rule)) : null);
+    return response;
+  }
+  /**
+   * Edits Timer Rule, the countdown restarts from `delaySeconds`.
+   *
+   * Sends `count_down.edit_rule` command.
+   * @param  {Object}  options
+   * @param  {string}  options.id
+   * @param  {number}  options.delaySeconds
+   * @param  {boolean} options.powerState
+   * @param  {string}  [options.name='timer']
+   * @param  {boolean} [options.enable=true]
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {TypeError|RangeError} when `options` are invalid
+   * @throws {CapabilityError} when the plug does not support `timer`
+   */
+  async editTimerRule ({id, delaySeconds, powerState, name = 'timer', enable = true} = {}, sendOptions) {
+    this.requireCapability('timer', 'plug.editTimerRule');
+    if (id == null) {
+      throw new TypeError('plug.editTimerRule: id is required');
+    }
+    let rule = Object.assign({id}, createTimerRule({delaySeconds, powerState, name, enable}));
+    let response = await this.sendCommand({count_down: {edit_rule: rule}}, sendOptions);
+    this.activeTimer = (enable ? timerFromRule(rule) : null);
+    return response;
+  }
+  /**
+   * Deletes Timer Rule.
+   *
+   * Sends `count_down.delete_rule` command.
+   * @param  {string}  id
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the plug does not support `timer`
+   */
+  async deleteTimerRule (id, sendOptions) {
+    this.requireCapability('timer', 'plug.deleteTimerRule');
+    let response = await this.sendCommand({count_down: {delete_rule: {id}}}, sendOptions);
+    if (this.activeTimer && this.activeTimer.id === id) this.activeTimer = null;
+    return response;
+  }
+  /**
+   * Deletes All Timer Rules.
+   *
+   * Sends `count_down.delete_all_rules` command.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<Object, ResponseError>} parsed JSON response
+   * @throws {CapabilityError} when the plug does not support `timer`
+   */
+  async deleteAllTimerRules (sendOptions) {
+    this.requireCapability('timer', 'plug.deleteAllTimerRules');
+    let response = await this.sendCommand('{"count_down":{"delete_all_rules":{}}}', sendOptions);
+    this.activeTimer = null;
+    return response;
+  }
+  /**
+   * Turns Plug off after `ms`, replacing any existing timer rule.
+   *
+   * Devices count down in seconds, so `ms` is rounded (to at least 1 second).
+   * @param  {number}  ms
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{id}`
    */
-  async getTimerRules () {
-    return this.sendCommand(`{"count_down":{"get_rules":{}}}`);
+  async turnOffIn (ms, sendOptions) {
+    return this.addTimerRule({delaySeconds: Math.max(1, Math.round(ms / 1000)), powerState: false, name: 'turn off'}, sendOptions);
+  }
+  /**
+   * Turns Plug on after `ms`, replacing any existing timer rule.
+   *
+   * Devices count down in seconds, so `ms` is rounded (to at least 1 second).
+   * @param  {number}  ms
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} parsed JSON response, such as `{id}`
+   */
+  async turnOnIn (ms, sendOptions) {
+    return this.addTimerRule({delaySeconds: Math.max(1, Math.round(ms / 1000)), powerState: true, name: 'turn on'}, sendOptions);
   }
   /**
    * Get Plug LED state (night mode).
    *
    * Requests `system.sys_info` and returns true if `led_off === 0`.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>} LED State, true === on
+   * @throws {CapabilityError} when the plug does not support `led`
    */
-  async getLedState () {
-    let sysInfo = await this.getSysInfo();
+  async getLedState (sendOptions) {
+    this.requireCapability('led', 'plug.getLedState');
+    let sysInfo = await this.getSysInfo(sendOptions);
     return (sysInfo.led_off === 0);
   }
   /**
@@ -266,10 +504,13 @@ class Plug extends Device {
    *
    * Sends `system.set_led_off` command.
    * @param  {boolean}  value LED State, true === on
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
+   * @throws {CapabilityError} when the plug does not support `led`
    */
-  async setLedState (value) {
-    await this.sendCommand(`{"system":{"set_led_off":{"off":${(value ? 0 : 1)}}}}`);
+  async setLedState (value, sendOptions) {
+    this.requireCapability('led', 'plug.setLedState');
+    await this.sendCommand(`{"system":{"set_led_off":{"off":${(value ? 0 : 1)}}}}`, sendOptions);
     this.sysInfo.set_led_off = (value ? 0 : 1);
     return true;
   }
@@ -280,31 +521,75 @@ class Plug extends Device {
    * then sets the led to its pre-blink state.
    *
    * Note: `system.set_led_off` is particulally slow, so blink rate is not guaranteed.
+   *
+   * If `sendOptions.signal` is aborted the led is set to its pre-blink state and the Promise is rejected with {@link AbortError}.
    * @param  {number}  [times=5]
    * @param  {number}  [rate=1000]
+   * @param  {Object}  [sendOptions] see {@link Device#send}
    * @return {Promise<boolean, ResponseError>}
    */
-  async blink (times = 5, rate = 1000) {
-    let delay = (t) => { return new Promise((resolve) => { setTimeout(resolve, t); }); };
+  async blink (times = 5, rate = 1000, sendOptions = {}) {
+    let signal = sendOptions.signal;
+    let restoreOptions = Object.assign({}, sendOptions, {signal: undefined});
 
-    let origLedState = await this.getLedState();
+    let origLedState = await this.getLedState(sendOptions);
     let lastBlink = Date.now();
 
     let currLedState = false;
-    for (var i = 0; i < times * 2; i++) {
-      currLedState = !currLedState;
-      lastBlink = Date.now();
-      await this.setLedState(currLedState);
-      let timeToWait = (rate / 2) - (Date.now() - lastBlink);
-      if (timeToWait > 0) {
-        await delay(timeToWait);
+    try {
+      for (var i = 0; i < times * 2; i++) {
+        if (signal && signal.aborted) {
+          throw new AbortError('plug.blink: aborted', {reason: signal.reason});
+        }
+        currLedState = !currLedState;
+        lastBlink = Date.now();
+        await this.setLedState(currLedState, sendOptions);
+        let timeToWait = (rate / 2) - (Date.now() - lastBlink);
+        if (timeToWait > 0) {
+          await delay(timeToWait, signal);
+        }
       }
+    } catch (err) {
+      if (err instanceof AbortError) {
+        await this.setLedState(origLedState, restoreOptions);
+      }
+      throw err;
     }
     if (currLedState !== origLedState) {
-      await this.setLedState(origLedState);
+      await this.setLedState(origLedState, restoreOptions);
     }
     return true;
   }
 }
 
+/**
+ * Converts timer options to a `count_down` rule.
+ * @private
+ */
+function createTimerRule ({delaySeconds, powerState, name, enable}) {
+  if (!Number.isInteger(delaySeconds)) {
+    throw new TypeError(`plug: delaySeconds must be an integer: ${delaySeconds}`);
+  }
+  if (delaySeconds <= 0) {
+    throw new RangeError(`plug: delaySeconds must be positive: ${delaySeconds}`);
+  }
+  if (typeof powerState !== 'boolean') {
+    throw new TypeError('plug: powerState must be a boolean');
+  }
+  return {enable: (enable ? 1 : 0), delay: delaySeconds, act: (powerState ? 1 : 0), name};
+}
+
+/**
+ * @private
+ */
+function timerFromRule (rule, remainSeconds = rule.delay) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    powerState: (rule.act === 1),
+    delaySeconds: rule.delay,
+    endsAt: Date.now() + remainSeconds * 1000
+  };
+}
+
 module.exports = Plug;
@@ -0,0 +1,147 @@
+'use strict';
+
+const Device = require('./device');
+const Outlet = require('./outlet');
+
+/**
+ * Power Strip Device, with an {@link Outlet} for each of its children.
+ *
+ * TP-Link models: HS300, HS107, KP303.
+ *
+ * Commands sent to the strip itself (such as {@link Device#getSysInfo}, {@link Device#getTime} or
+ * {@link #setPowerState}) apply to the whole strip. Use {@link #outlets} to control and monitor each outlet;
+ * they emit the same events as a {@link Plug} whenever the strip's `sysInfo` is updated.
+ * Energy monitoring (HS300) is only available on the outlets: the strip does not support `emeter`.
+ * @extends Device
+ * @extends EventEmitter
+ */
+class PowerStrip extends Device {
+  /**
+   * Created by {@link Client} - Do not instantiate directly.
+   *
+   * See {@link Device#constructor} for common options.
+   * @param  {Object} options
+   * @param  {Number} [options.inUseThreshold=0] passed to each {@link Outlet}
+   */
+  constructor (options = {}) {
+    super(Object.assign({}, options, {sysInfo: undefined}));
+
+    this.log.debug('powerStrip.constructor()');
+
+    this.apiModuleNamespace = {
+      'system': 'system',
+      'cloud': 'cnCloud',
+      'schedule': 'schedule',
+      'timesetting': 'time',
+      'emeter': 'emeter',
+      'netif': 'netif'
+    };
+
+    this.inUseThreshold = options.inUseThreshold || 0;
+
+    /**
+     * Outlets, in the order of the strip's `sysInfo.children`.
+     * @type {Outlet[]}
+     */
+    this.outlets = [];
+
+    if (options.sysInfo) { this.sysInfo = options.sysInfo; }
+  }
+
+  get sysInfo () {
+    return super.sysInfo;
+  }
+
+  /**
+   * Creates {@link #outlets} the first time, then passes `sysInfo` on to each of them.
+   * @private
+   */
+  set sysInfo (sysInfo) {
+    super.sysInfo = sysInfo;
+    // Energy monitoring is per outlet (sent with `context`), so emeter methods are rejected on the strip itself
+    this.capabilities = this.capabilities.filter((capability) => capability !== 'emeter');
+    this.type = 'powerstrip';
+    this.log.debug('[%s] powerStrip sysInfo set', this.name);
+    if (this.outlets.length === 0) {
+      this.outlets = (sysInfo.children || []).map((child) => new Outlet({
+        client: this.client,
+        parent: this,
+        childId: child.id,
+        host: this.host,
+        port: this.port,
+        timeout: this.timeout,
+        logger: this.log,
+        inUseThreshold: this.inUseThreshold,
+        sysInfo
+      }));
+    } else {
+      this.outlets.forEach((outlet) => { outlet.sysInfo = sysInfo; });
+    }
+  }
+
+  /**
+   * Returns the outlet at `index` or with `childId`, `deviceId` or `alias`.
+   * @param  {number|string} id
+   * @return {Outlet|undefined}
+   */
+  getOutlet (id) {
+    if (typeof id === 'number') return this.outlets[id];
+    return this.outlets.find((outlet) => outlet.childId === id || outlet.childId === this.deviceId + id || outlet.name === id);
+  }
+
+  /**
+   * Requests the strip's `system.get_sysinfo` (which updates every outlet), then each outlet's `emeter.get_realtime`
+   * (with `context`) if the strip has energy monitoring (HS300).
+   *
+   * Used by {@link Device#startPolling}, so outlets emit their {@link Plug} events (including `in-use`/`not-in-use`)
+   * while the strip is polled.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<Object, ResponseError>} `{sysInfo, outlets}`, `outlets` has `{childId, sysInfo, consumption}` for each outlet,
+   *                                          `consumption` is `undefined` without energy monitoring
+   */
+  async getInfo (sendOptions) {
+    let sysInfo = await this.getSysInfo(sendOptions);
+    for (let outlet of this.outlets) {
+      if (outlet.supportsConsumption) await outlet.getConsumption(sendOptions);
+    }
+    return {
+      sysInfo,
+      outlets: this.outlets.map((outlet) => ({
+        childId: outlet.childId,
+        sysInfo: outlet.sysInfo,
+        consumption: (outlet.supportsConsumption ? outlet.consumption : undefined)
+      }))
+    };
+  }
+
+  /**
+   * Returns true if any outlet is on.
+   *
+   * Requests `system.sys_info` from device.
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<boolean, ResponseError>}
+   */
+  async getPowerState (sendOptions) {
+    await this.getSysInfo(sendOptions);
+    return this.outlets.some((outlet) => outlet.sysInfo.relay_state === 1);
+  }
+
+  /**
+   * Turns every outlet on/off.
+   *
+   * Sends `system.set_relay_state` command without `context`.
+   * @param  {boolean}  value
+   * @param  {Object}  [sendOptions] see {@link Device#send}
+   * @return {Promise<boolean, ResponseError>}
+   */
+  async setPowerState (value, sendOptions) {
+    this.log.debug('[%s] powerStrip.setPowerState(%s)', this.name, value);
+    await this.sendCommand(`{"system":{"set_relay_state":{"state":${(value ? 1 : 0)}}}}`, sendOptions);
+    this.outlets.forEach((outlet) => {
+      outlet.sysInfo = Object.assign({}, outlet.sysInfo, {relay_state: (value ? 1 : 0)});
+    });
+    return true;
+  }
+}
+
+module.exports = PowerStrip;
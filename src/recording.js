@@ -0,0 +1,253 @@
+'use strict';
+
+const fs = require('fs');
+
+const TimeoutError = require('./utils').TimeoutError;
+const ConnectionError = require('./utils').ConnectionError;
+const ProtocolError = require('./utils').ProtocolError;
+const ParseError = require('./utils').ParseError;
+const AbortError = require('./utils').AbortError;
+const delay = require('./utils').delay;
+
+/**
+ * Request/response pairs recorded by a {@link Client} created with `recordTo`,
+ * or played back by a {@link Client} created with `replayFrom`.
+ *
+ * Each entry is `{host, port, request, response, latency, error}`:
+ * - `request` is the JSON payload that was sent
+ * - `response` is the decrypted reply (absent on error)
+ * - `latency` (ms) from when the request was made until it settled
+ * - `error` is `{name, message, code}` (absent on success)
+ *
+ * When replaying, requests are matched by `host`, `port` and payload. Payloads are compared after
+ * normalizing (JSON object keys are sorted), so key order and whitespace don't matter.
+ * When the same request was recorded more than once the recorded entries are replayed in order,
+ * the last being repeated once they have all been used.
+ */
+class Recording {
+  /**
+   * @param  {Object}   [options]
+   * @param  {string}   [options.file]      fixture file, written after every recorded request
+   * @param  {Object[]} [options.entries=[]]
+   */
+  constructor ({file, entries = []} = {}) {
+    this.file = file;
+    this.entries = entries;
+    this.unmatched = [];
+    this.replayCounts = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Reads entries from fixture `file`.
+   * @param  {string} file
+   * @return {Recording}
+   */
+  static load (file) {
+    let fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Recording({entries: fixture.entries});
+  }
+
+  /**
+   * Adds `entry` and saves, if this recording has a `file`.
+   * @param  {Object} entry
+   * @return {Promise}
+   */
+  add (entry) {
+    this.entries.push(entry);
+    return this.save();
+  }
+
+  /**
+   * Writes all entries to `file`.
+   *
+   * Writes are made one at a time, the Promise fulfills once this (and every earlier) write has finished.
+   * @return {Promise}
+   */
+  save () {
+    if (this.file == null) return this.saving;
+    let fixture = JSON.stringify({version: 1, entries: this.entries}, null, 2);
+    this.saving = this.saving.catch(() => {}).then(() => {
+      return new Promise((resolve, reject) => {
+        fs.writeFile(this.file, fixture, (err) => (err ? reject(err) : resolve()));
+      });
+    });
+    return this.saving;
+  }
+
+  /**
+   * Returns the next recorded entry for the request, or `undefined` if none was recorded.
+   * @param  {Object} request
+   * @param  {string} request.host
+   * @param  {number} request.port
+   * @param  {string} request.payload
+   * @return {Object|undefined}
+   */
+  match ({host, port, payload}) {
+    let normalizedPayload = normalizePayload(payload);
+    let matches = this.entries.filter((entry) => {
+      return entry.host === host && entry.port === port && normalizePayload(entry.request) === normalizedPayload;
+    });
+    if (matches.length === 0) {
+      this.unmatched.push({host, port, request: payload});
+      return undefined;
+    }
+    let key = `${host}:${port} ${normalizedPayload}`;
+    let count = this.replayCounts.get(key) || 0;
+    this.replayCounts.set(key, count + 1);
+    return matches[Math.min(count, matches.length - 1)];
+  }
+}
+
+/**
+ * Wraps a {@link Transport} and adds every request made through it to a {@link Recording}.
+ * @private
+ */
+class RecordingTransport {
+  /**
+   * @param  {Object}    options
+   * @param  {string}    options.host
+   * @param  {number}    options.port
+   * @param  {Transport} options.transport
+   * @param  {Recording} options.recording
+   * @param  {Object}    options.log
+   */
+  constructor ({host, port, transport, recording, log}) {
+    this.host = host;
+    this.port = port;
+    this.transport = transport;
+    this.recording = recording;
+    this.log = log;
+  }
+
+  open () {
+    return this.transport.open();
+  }
+
+  async request (payload, options) {
+    let start = Date.now();
+    let entry = {host: this.host, port: this.port, request: payload};
+    try {
+      entry.response = await this.transport.request(payload, options);
+      return entry.response;
+    } catch (err) {
+      entry.error = {name: err.name, message: err.message, code: err.code};
+      throw err;
+    } finally {
+      entry.latency = Date.now() - start;
+      // Cancellation is the caller's doing, not the device's
+      if (!(entry.error && entry.error.name === 'AbortError')) {
+        this.recording.add(entry).catch((err) => {
+          this.log.error('recording: could not save %s: %s', this.recording.file, err.message);
+        });
+      }
+    }
+  }
+
+  close () {
+    return this.transport.close();
+  }
+}
+
+/**
+ * Answers requests from a {@link Recording} instead of the network.
+ *
+ * Requests that were not recorded are rejected (and added to `recording.unmatched`).
+ * @private
+ */
+class ReplayTransport {
+  /**
+   * @param  {Object}    options
+   * @param  {string}    options.host
+   * @param  {number}    options.port
+   * @param  {Recording} options.recording
+   * @param  {boolean}   [options.latency=false] wait for each entry's recorded `latency` (and for `timeout` on timeouts)
+   * @param  {Object}    options.log
+   */
+  constructor ({host, port, recording, latency = false, log}) {
+    this.host = host;
+    this.port = port;
+    this.recording = recording;
+    this.latency = latency;
+    this.log = log;
+  }
+
+  open () {
+    return Promise.resolve();
+  }
+
+  async request (payload, {timeout, signal} = {}) {
+    if (signal && signal.aborted) {
+      throw new AbortError('replay: aborted', {reason: signal.reason});
+    }
+    let entry = this.recording.match({host: this.host, port: this.port, payload});
+    if (entry == null) {
+      throw new Error(`replay: no recorded response for ${this.host}:${this.port} ${payload}`);
+    }
+    this.log.debug('replay: %s:%s %s', this.host, this.port, payload);
+
+    let error = (entry.error ? replayError(entry.error, {timeout}) : null);
+    if (this.latency) {
+      let ms = (error instanceof TimeoutError && timeout > 0 ? timeout : entry.latency);
+      await delay(ms, signal);
+    }
+    if (error) throw error;
+    return entry.response;
+  }
+
+  close () {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Sorts object keys so equivalent JSON payloads compare equal.
+ * @private
+ */
+function normalizePayload (payload) {
+  let sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value == null || typeof value !== 'object') return value;
+    let sorted = {};
+    Object.keys(value).sort().forEach((key) => { sorted[key] = sortKeys(value[key]); });
+    return sorted;
+  };
+  try {
+    return JSON.stringify(sortKeys(JSON.parse(payload)));
+  } catch (e) {
+    return payload;
+  }
+}
+
+/**
+ * Recreates a recorded error.
+ * @private
+ */
+function replayError ({name, message, code}, {timeout}) {
+  let err;
+  switch (name) {
+    case 'TimeoutError':
+      err = new TimeoutError(message, {timeout});
+      break;
+    case 'ConnectionError':
+      err = new ConnectionError(message);
+      break;
+    case 'ParseError':
+      err = new ParseError(message);
+      break;
+    case 'ProtocolError':
+      err = new ProtocolError(message);
+      break;
+    default:
+      err = new Error(message);
+      err.name = name;
+  }
+  if (code !== undefined) err.code = code;
+  return err;
+}
+
+module.exports = {
+  Recording,
+  RecordingTransport,
+  ReplayTransport
+};
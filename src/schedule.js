@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * Converts between JS-friendly input and the rule format used by `schedule` and `anti_theft` (away mode)
+ * `add_rule`/`edit_rule`/`get_rules`.
+ * @module schedule
+ */
+
+const dateToTimeFields = require('./timezone').dateToTimeFields;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const START_TIME = 0;
+const START_SUNRISE = 1;
+const START_SUNSET = 2;
+
+const ACTION_OFF = 0;
+const ACTION_ON = 1;
+const ACTION_LIGHT_STATE = 2;
+
+/**
+ * Creates a device schedule rule.
+ *
+ * - `start` is when the rule runs:
+ *   - `Date`: its time in `timeZone` (and its date for rules without `daysOfWeek`)
+ *   - `"HH:MM"`: the device's local time
+ *   - `{sunrise: offset}` or `{sunset: offset}`: minutes (may be negative) relative to sunrise/sunset
+ * - `daysOfWeek` makes the rule repeat on those days, either numbers (`0` is Sunday) or names (`'sun'`, `'Monday'`).
+ *   Without it, the rule runs once on `date` (or the date of `start`, or today).
+ * - `timeZone` is the device's time zone (see {@link Device#getTimeZone}), used to convert `Date`s.
+ *   Without it, `Date`s are converted with this host's time zone.
+ * - One of `powerState` (plugs and bulbs) or `lightState` (bulbs) is the action.
+ * @static
+ * @param  {Object}             options
+ * @param  {Date|string|Object} options.start
+ * @param  {Array<number|string>} [options.daysOfWeek]
+ * @param  {Date}               [options.date]          date of a rule without `daysOfWeek`
+ * @param  {boolean}            [options.powerState]    true: on, false: off
+ * @param  {Object}             [options.lightState]    `{on_off, mode, hue, saturation, color_temp, brightness}` see {@link Bulb#setLightState}
+ * @param  {string}             [options.name='Schedule Rule']
+ * @param  {boolean}            [options.enable=true]
+ * @param  {string}             [options.timeZone]      IANA time zone of the device, such as `'Europe/London'`
+ * @return {Object} rule, such as `{name, enable, wday, repeat, stime_opt, smin, soffset, sact, ...}`
+ * @throws {TypeError|RangeError} when `options` is invalid
+ */
+function createScheduleRule ({start, daysOfWeek, date, powerState, lightState, name = 'Schedule Rule', enable = true, timeZone} = {}) {
+  let rule = {
+    name,
+    enable: (enable ? 1 : 0),
+    etime_opt: -1,
+    emin: 0,
+    eact: -1,
+    force: 0,
+    latitude: 0,
+    longitude: 0
+  };
+
+  Object.assign(rule, timeToRule(start, 's', timeZone), daysToRule({daysOfWeek, date, start, timeZone}));
+
+  if (powerState != null && lightState != null) {
+    throw new TypeError('schedule: only one of powerState and lightState may be specified');
+  } else if (lightState != null) {
+    if (typeof lightState !== 'object') {
+      throw new TypeError('schedule: lightState must be an object');
+    }
+    rule.sact = ACTION_LIGHT_STATE;
+    rule.s_light = Object.assign({}, lightState);
+  } else if (powerState != null) {
+    rule.sact = (powerState ? ACTION_ON : ACTION_OFF);
+  } else {
+    throw new TypeError('schedule: powerState or lightState must be specified');
+  }
+
+  return rule;
+}
+
+/**
+ * Converts a device schedule rule (such as from `get_rules`) to the input of {@link createScheduleRule}.
+ *
+ * `start` is a `Date` (in this host's time zone) for rules that run once at a time of day, otherwise `"HH:MM"`
+ * or `{sunrise|sunset: offset}`.
+ * `daysOfWeek` is only set for repeating rules.
+ * @static
+ * @param  {Object} rule
+ * @return {Object} `{id, name, enable, start, daysOfWeek, powerState | lightState}`
+ */
+function parseScheduleRule (rule) {
+  let parsed = {
+    id: rule.id,
+    name: rule.name,
+    enable: (rule.enable === 1)
+  };
+
+  Object.assign(parsed, parseTimeAndDays(rule));
+
+  if (rule.sact === ACTION_LIGHT_STATE) {
+    parsed.lightState = rule.s_light;
+  } else {
+    parsed.powerState = (rule.sact === ACTION_ON);
+  }
+
+  return parsed;
+}
+
+/**
+ * Creates an away (`anti_theft`) rule, which turns the plug on and off at random between `start` and `end`.
+ *
+ * `start`, `end`, `daysOfWeek`, `date` and `timeZone` are as for {@link createScheduleRule}.
+ * When both `start` and `end` are times of day, `end` must be after `start`.
+ * @static
+ * @param  {Object}             options
+ * @param  {Date|string|Object} options.start
+ * @param  {Date|string|Object} options.end
+ * @param  {Array<number|string>} [options.daysOfWeek]
+ * @param  {Date}               [options.date]          date of a rule without `daysOfWeek`
+ * @param  {number}             [options.frequency=5]   how often (1-10) the plug is switched, higher is more often
+ * @param  {string}             [options.name='Away Rule']
+ * @param  {boolean}            [options.enable=true]
+ * @param  {string}             [options.timeZone]      IANA time zone of the device, such as `'Europe/London'`
+ * @return {Object} rule, such as `{name, enable, wday, repeat, stime_opt, smin, etime_opt, emin, frequency, ...}`
+ * @throws {TypeError|RangeError} when `options` is invalid
+ */
+function createAwayRule ({start, end, daysOfWeek, date, frequency = 5, name = 'Away Rule', enable = true, timeZone} = {}) {
+  if (end == null) {
+    throw new TypeError('schedule: end must be specified');
+  }
+  if (!Number.isInteger(frequency) || frequency < 1 || frequency > 10) {
+    throw new RangeError(`schedule: frequency must be an integer from 1 to 10: ${frequency}`);
+  }
+  let rule = {
+    name,
+    enable: (enable ? 1 : 0),
+    frequency,
+    eact: -1,
+    force: 0,
+    latitude: 0,
+    longitude: 0
+  };
+  Object.assign(rule, timeToRule(start, 's', timeZone), timeToRule(end, 'e', timeZone), daysToRule({daysOfWeek, date, start, timeZone}));
+  if (rule.stime_opt === START_TIME && rule.etime_opt === START_TIME && rule.emin <= rule.smin) {
+    throw new RangeError('schedule: end must be after start');
+  }
+  return rule;
+}
+
+/**
+ * Converts a device away (`anti_theft`) rule to the input of {@link createAwayRule}.
+ * @static
+ * @param  {Object} rule
+ * @return {Object} `{id, name, enable, start, end, daysOfWeek, frequency}`
+ */
+function parseAwayRule (rule) {
+  let parsed = {
+    id: rule.id,
+    name: rule.name,
+    enable: (rule.enable === 1)
+  };
+  Object.assign(parsed, parseTimeAndDays(rule));
+  parsed.end = parseTime(rule, 'e');
+  if (parsed.start instanceof Date && typeof parsed.end === 'string') {
+    let end = new Date(parsed.start.getTime());
+    end.setHours(0, rule.emin, 0, 0);
+    parsed.end = end;
+  }
+  parsed.frequency = rule.frequency;
+  return parsed;
+}
+
+/**
+ * Converts `time` to `{[prefix]time_opt, [prefix]min, [prefix]offset}`.
+ * @private
+ */
+function timeToRule (time, prefix, timeZone) {
+  let name = (prefix === 's' ? 'start' : 'end');
+  let rule = (opt, min, offset) => {
+    let fields = {[`${prefix}time_opt`]: opt, [`${prefix}min`]: min};
+    if (offset !== undefined) fields[`${prefix}offset`] = offset;
+    return fields;
+  };
+  if (time instanceof Date) {
+    if (isNaN(time.getTime())) throw new TypeError(`schedule: ${name} is an invalid Date`);
+    let {hour, min} = dateToTimeFields(time, timeZone);
+    return rule(START_TIME, hour * 60 + min);
+  }
+  if (typeof time === 'string') {
+    let match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (match == null) throw new TypeError(`schedule: ${name} must be "HH:MM": ${time}`);
+    let hours = Number(match[1]);
+    let minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) throw new RangeError(`schedule: ${name} out of range: ${time}`);
+    return rule(START_TIME, hours * 60 + minutes);
+  }
+  if (time != null && typeof time === 'object') {
+    let opt = (time.sunrise != null ? START_SUNRISE : (time.sunset != null ? START_SUNSET : null));
+    let offset = (opt === START_SUNRISE ? time.sunrise : time.sunset);
+    if (opt == null) throw new TypeError(`schedule: ${name} object must have sunrise or sunset`);
+    if (!Number.isInteger(offset) || Math.abs(offset) >= 1440) {
+      throw new RangeError(`schedule: sunrise/sunset offset must be an integer number of minutes: ${offset}`);
+    }
+    return rule(opt, 0, offset);
+  }
+  throw new TypeError(`schedule: ${name} must be a Date, "HH:MM", {sunrise} or {sunset}`);
+}
+
+/**
+ * Converts `daysOfWeek` (or the single `date`, in `timeZone`) to `{wday, repeat, year, month, day}`.
+ * @private
+ */
+function daysToRule ({daysOfWeek, date, start, timeZone}) {
+  let wday = [0, 0, 0, 0, 0, 0, 0];
+  if (daysOfWeek != null) {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0) {
+      throw new TypeError('schedule: daysOfWeek must be a non-empty array');
+    }
+    daysOfWeek.forEach((day) => { wday[dayIndex(day)] = 1; });
+    return {wday, repeat: 1, year: 0, month: 0, day: 0};
+  }
+  if (date == null) date = (start instanceof Date ? start : new Date());
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new TypeError('schedule: date must be a valid Date');
+  }
+  let {year, month, mday} = dateToTimeFields(date, timeZone);
+  wday[new Date(Date.UTC(year, month - 1, mday)).getUTCDay()] = 1;
+  return {wday, repeat: 0, year, month, day: mday};
+}
+
+/**
+ * @private
+ */
+function parseTime (rule, prefix) {
+  switch (rule[`${prefix}time_opt`]) {
+    case START_SUNRISE:
+      return {sunrise: rule[`${prefix}offset`] || 0};
+    case START_SUNSET:
+      return {sunset: rule[`${prefix}offset`] || 0};
+    default:
+      return minutesToTime(rule[`${prefix}min`] || 0);
+  }
+}
+
+/**
+ * Returns `{start, daysOfWeek}` or `{start, date}` for `rule`.
+ * @private
+ */
+function parseTimeAndDays (rule) {
+  let parsed = {start: parseTime(rule, 's')};
+  if (rule.repeat) {
+    parsed.daysOfWeek = [];
+    (rule.wday || []).forEach((value, day) => {
+      if (value) parsed.daysOfWeek.push(day);
+    });
+  } else if (rule.year) {
+    let date = new Date(rule.year, rule.month - 1, rule.day);
+    if (rule.stime_opt === START_TIME) {
+      date.setMinutes(rule.smin);
+      parsed.start = date;
+    } else {
+      parsed.date = date;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * @private
+ */
+function dayIndex (day) {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+  if (typeof day === 'string') {
+    let index = DAY_NAMES.indexOf(day.slice(0, 3).toLowerCase());
+    if (index !== -1) return index;
+  }
+  throw new RangeError(`schedule: invalid day of week: ${day}`);
+}
+
+/**
+ * @private
+ */
+function minutesToTime (minutes) {
+  let pad = (n) => (n < 10 ? `0${n}` : `${n}`);
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+module.exports = {
+  createScheduleRule,
+  parseScheduleRule,
+  createAwayRule,
+  parseAwayRule
+};
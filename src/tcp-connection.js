@@ -0,0 +1,474 @@
+'use strict';
+
+const net = require('net');
+
+const TimeoutError = require('./utils').TimeoutError;
+const ConnectionError = require('./utils').ConnectionError;
+const ProtocolError = require('./utils').ProtocolError;
+const AbortError = require('./utils').AbortError;
+const onAbort = require('./utils').onAbort;
+const encryptWithHeader = require('./tplink-crypto').encryptWithHeader;
+const decrypt = require('./tplink-crypto').decrypt;
+
+/**
+ * Persistent TCP connection to a single device, a {@link Transport}.
+ *
+ * - Requests are queued and written one at a time (FIFO) over a shared socket.
+ * - The socket is opened on demand and closed after `idleTimeout`(ms) without requests.
+ * - If the device closed a reused socket before answering, the request is resent once on a new socket.
+ * @private
+ */
+class TcpConnection {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.host
+   * @param  {number} options.port
+   * @param  {Object} options.log
+   * @param  {number} [options.idleTimeout=10000]   (ms) close socket after no activity, `0` to keep open
+   * @param  {number} [options.maxQueueDepth=100]   reject requests when this many are pending
+   * @param  {number} [options.maxResponseSize]
+   */
+  constructor ({host, port, log, idleTimeout = 10000, maxQueueDepth = 100, maxResponseSize}) {
+    this.host = host;
+    this.port = port;
+    this.log = log;
+    this.idleTimeout = idleTimeout;
+    this.maxQueueDepth = maxQueueDepth;
+    this.maxResponseSize = maxResponseSize;
+
+    this.socket = null;
+    this.queue = [];
+    this.current = null;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Number of requests waiting or in flight.
+   * @return {number}
+   */
+  get queueDepth () {
+    return this.queue.length + (this.current ? 1 : 0);
+  }
+
+  /**
+   * Socket is opened on demand by {@link #request}.
+   * @return {Promise}
+   */
+  open () {
+    return Promise.resolve();
+  }
+
+  /**
+   * Queues `payloadString` to be sent.
+   * @param  {string} payloadString
+   * @param  {Object} [options]
+   * @param  {number} [options.timeout] (ms) from when the request is written
+   * @param  {AbortSignal} [options.signal] removes the request from the queue, or closes the socket if it was already written
+   * @return {Promise<string, Error>} decrypted response
+   */
+  request (payloadString, {timeout, signal} = {}) {
+    this.log.debug('tcpConnection.request(%s:%s) queueDepth:%s', this.host, this.port, this.queueDepth);
+    return new Promise((resolve, reject) => {
+      if (this.queueDepth >= this.maxQueueDepth) {
+        reject(new ConnectionError(`tcpConnection.request: maxQueueDepth ${this.maxQueueDepth} reached for ${this.host}:${this.port}`, {code: 'EQUEUEFULL', host: this.host, port: this.port}));
+        return;
+      }
+      if (signal && signal.aborted) {
+        reject(new AbortError('tcpConnection.request: aborted', {reason: signal.reason}));
+        return;
+      }
+      let request = {payloadString, timeout, resolve, reject, resent: false};
+      request.removeAbort = onAbort(signal, () => {
+        this.abort(request, new AbortError('tcpConnection.request: aborted', {reason: signal.reason}));
+      });
+      this.queue.push(request);
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Closes socket and rejects all pending requests.
+   */
+  close () {
+    this.log.debug('tcpConnection.close(%s:%s)', this.host, this.port);
+    this.clearIdleTimer();
+    let err = new ConnectionError('tcpConnection: connection closed');
+    let pending = this.queue;
+    this.queue = [];
+    pending.forEach((request) => {
+      request.removeAbort();
+      request.reject(err);
+    });
+    this.finish(err);
+    this.destroySocket();
+  }
+
+  /**
+   * @private
+   */
+  abort (request, err) {
+    this.log.debug('tcpConnection: aborted');
+    if (this.current === request) {
+      // Response may still arrive, so the socket can't be reused
+      this.destroySocket();
+      this.finish(err);
+      return;
+    }
+    let index = this.queue.indexOf(request);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      request.removeAbort();
+      request.reject(err);
+    }
+  }
+
+  /**
+   * @private
+   */
+  processQueue () {
+    if (this.current || this.queue.length === 0) return;
+    this.clearIdleTimer();
+
+    let request = this.current = this.queue.shift();
+    let socket = this.socket || this.connect();
+    socket.ref();
+
+    request.socket = socket;
+    request.reusedSocket = (socket.requestCount > 0);
+    request.frame = new ResponseFrame(this.maxResponseSize);
+    socket.requestCount += 1;
+
+    if (request.timeout > 0) {
+      request.timer = setTimeout(() => {
+        this.log.debug('tcpConnection: timeout(%s)', request.timeout);
+        // The response may still arrive, so the socket can't be reused
+        this.destroySocket();
+        this.finish(new TimeoutError(`tcpConnection.request: timeout ${request.timeout}`, {timeout: request.timeout}));
+      }, request.timeout);
+    }
+
+    socket.write(encryptWithHeader(request.payloadString));
+  }
+
+  /**
+   * @private
+   */
+  connect () {
+    this.log.debug('tcpConnection: socket: attempting to open. host:%s, port:%s', this.host, this.port);
+    let socket = net.connect(this.port, this.host);
+    socket.setKeepAlive(true);
+    socket.requestCount = 0;
+    this.socket = socket;
+
+    socket.on('data', (data) => {
+      this.onData(socket, data);
+    });
+    socket.on('error', (err) => {
+      this.log.debug('tcpConnection: socket on error: %s', err);
+      this.onClose(socket, err);
+    });
+    socket.on('close', () => {
+      this.log.debug('tcpConnection: socket on close');
+      this.onClose(socket);
+    });
+
+    return socket;
+  }
+
+  /**
+   * @private
+   */
+  onData (socket, data) {
+    let request = this.current;
+    if (request == null || request.socket !== socket) {
+      this.log.error('tcpConnection: received %s unexpected bytes from %s:%s', data.length, this.host, this.port);
+      if (socket === this.socket) this.destroySocket();
+      return;
+    }
+    try {
+      request.frame.push(data);
+    } catch (err) {
+      this.destroySocket();
+      this.finish(err);
+      return;
+    }
+    if (request.frame.isComplete()) {
+      this.finish(null, decrypt(request.frame.body()).toString('ascii'));
+    }
+  }
+
+  /**
+   * @private
+   */
+  onClose (socket, err) {
+    if (socket === this.socket) {
+      this.socket = null;
+    }
+    let request = this.current;
+    if (request == null || request.socket !== socket) return;
+
+    if (request.reusedSocket && !request.resent && request.frame.receivedLength === 0) {
+      this.log.debug('tcpConnection: reused socket closed, resending request on new socket');
+      clearTimeout(request.timer);
+      request.resent = true;
+      this.current = null;
+      this.queue.unshift(request);
+      this.processQueue();
+      return;
+    }
+    if (err) {
+      this.finish(new ConnectionError('tcpConnection: socket error', {cause: err}));
+    } else {
+      this.finish(new ConnectionError('tcpConnection: socket closed before response was received'));
+    }
+  }
+
+  /**
+   * Settles the in-flight request and moves on to the next one.
+   * @private
+   */
+  finish (err, response) {
+    let request = this.current;
+    if (request == null) return;
+    this.current = null;
+    clearTimeout(request.timer);
+    request.removeAbort();
+
+    if (err) {
+      this.log.error('tcpConnection: %s', err.message);
+      request.reject(err);
+    } else {
+      request.resolve(response);
+    }
+
+    if (this.queue.length > 0) {
+      this.processQueue();
+    } else {
+      this.startIdleTimer();
+    }
+  }
+
+  /**
+   * @private
+   */
+  startIdleTimer () {
+    if (this.socket == null) return;
+    this.socket.unref();
+    if (this.idleTimeout > 0) {
+      this.idleTimer = setTimeout(() => {
+        this.log.debug('tcpConnection: idle timeout(%s)', this.idleTimeout);
+        this.idleTimer = null;
+        if (this.current == null && this.socket) {
+          this.socket.end();
+          this.socket = null;
+        }
+      }, this.idleTimeout);
+      this.idleTimer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  clearIdleTimer () {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  destroySocket () {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Opens a new TCP socket for every request, a {@link Transport}.
+ *
+ * The device closes the connection after it has sent its response.
+ * @private
+ */
+class TcpOneShotConnection {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.host
+   * @param  {number} options.port
+   * @param  {Object} options.log
+   * @param  {number} [options.maxResponseSize]
+   */
+  constructor ({host, port, log, maxResponseSize}) {
+    this.host = host;
+    this.port = port;
+    this.log = log;
+    this.maxResponseSize = maxResponseSize;
+  }
+
+  /**
+   * Socket is opened by {@link #request}.
+   * @return {Promise}
+   */
+  open () {
+    return Promise.resolve();
+  }
+
+  /**
+   * Opens a new socket, sends `payloadString` and waits for the device to close the connection.
+   * @param  {string} payloadString
+   * @param  {Object} [options]
+   * @param  {number} [options.timeout] (ms)
+   * @param  {AbortSignal} [options.signal]
+   * @return {Promise<string, Error>} decrypted response
+   */
+  request (payloadString, {timeout, signal} = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError('tcpOneShotConnection.request: aborted', {reason: signal.reason}));
+        return;
+      }
+      this.log.debug('tcpOneShotConnection: socket: attempting to open. host:%s, port:%s', this.host, this.port);
+      let socket = net.connect(this.port, this.host);
+      socket.setKeepAlive(false);
+
+      let timer;
+      if (timeout > 0) {
+        socket.setTimeout(timeout);
+        timer = setTimeout(() => {
+          this.log.debug('tcpOneShotConnection.request: timeout(%s)', timeout);
+          socket.end();
+          socket.destroy(new TimeoutError(`tcpOneShotConnection.request: timeout ${timeout}`, {timeout}));
+        }, timeout);
+      }
+
+      let frame = new ResponseFrame(this.maxResponseSize);
+      let settled = false;
+      let removeAbort = onAbort(signal, () => {
+        this.log.debug('tcpOneShotConnection.request: aborted');
+        fail(new AbortError('tcpOneShotConnection.request: aborted', {reason: signal.reason}));
+      });
+
+      let fail = (err) => {
+        if (settled) return;
+        settled = true;
+        removeAbort();
+        if (timer) { clearTimeout(timer); }
+        this.log.error('tcpOneShotConnection.request: %s', err.message);
+        socket.destroy();
+        reject(err);
+      };
+
+      socket.on('connect', () => {
+        this.log.debug('tcpOneShotConnection.request: socket on connect');
+        if (timer) { clearTimeout(timer); }
+        socket.write(encryptWithHeader(payloadString));
+      });
+
+      socket.on('data', (data) => {
+        this.log.debug('tcpOneShotConnection.request: socket on data (%s bytes)', data.length);
+        try {
+          frame.push(data);
+        } catch (err) {
+          fail(err);
+          return;
+        }
+        if (frame.isComplete()) {
+          socket.end();
+        }
+      });
+
+      socket.on('end', () => {
+        this.log.debug('tcpOneShotConnection.request: socket on end');
+        if (settled) return;
+        if (frame.receivedLength === 0) {
+          fail(new ConnectionError('tcpOneShotConnection.request: socket closed before response was received'));
+          return;
+        }
+        if (!frame.isComplete()) {
+          fail(new ProtocolError(`tcpOneShotConnection.request: response truncated, received ${frame.bodyLength} of ${frame.expectedLength} bytes`));
+          return;
+        }
+        settled = true;
+        removeAbort();
+        if (timer) { clearTimeout(timer); }
+
+        resolve(decrypt(frame.body()).toString('ascii'));
+      });
+
+      socket.on('timeout', () => {
+        this.log.debug('tcpOneShotConnection.request: socket on timeout %s', timeout);
+        if (timer) { clearTimeout(timer); }
+        socket.destroy(new TimeoutError(`tcpOneShotConnection.request: socket on timeout ${timeout}`, {timeout}));
+      });
+
+      socket.on('error', (err) => {
+        this.log.debug('tcpOneShotConnection.request: socket on error');
+        this.log.error('TPLink Device TCP Error: %s', err);
+        fail(err instanceof TimeoutError ? err : new ConnectionError('tcpOneShotConnection.request: socket error', {cause: err}));
+      });
+
+      socket.on('close', () => {
+        this.log.debug('tcpOneShotConnection.request: socket on close');
+        fail(new ConnectionError('tcpOneShotConnection.request: socket closed before response was received'));
+      });
+    });
+  }
+
+  /**
+   * Nothing to close, each request closes its own socket.
+   * @return {Promise}
+   */
+  close () {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Accumulates TCP data until a complete length-prefixed response has arrived.
+ * @private
+ */
+class ResponseFrame {
+  constructor (maxLength) {
+    this.maxLength = maxLength;
+    this.chunks = [];
+    this.receivedLength = 0;
+    this.expectedLength = null;
+  }
+
+  get bodyLength () {
+    return Math.max(this.receivedLength - 4, 0);
+  }
+
+  push (data) {
+    this.chunks.push(data);
+    this.receivedLength += data.length;
+
+    if (this.expectedLength == null && this.receivedLength >= 4) {
+      this.expectedLength = Buffer.concat(this.chunks, this.receivedLength).readUInt32BE(0);
+      if (this.maxLength > 0 && this.expectedLength > this.maxLength) {
+        throw new ProtocolError(`response length ${this.expectedLength} exceeds maxResponseSize ${this.maxLength}`);
+      }
+    }
+    if (this.expectedLength != null && this.bodyLength > this.expectedLength) {
+      throw new ProtocolError(`response has ${this.bodyLength - this.expectedLength} bytes beyond length header ${this.expectedLength}`);
+    }
+  }
+
+  isComplete () {
+    return (this.expectedLength != null && this.bodyLength === this.expectedLength);
+  }
+
+  body () {
+    return Buffer.concat(this.chunks, this.receivedLength).slice(4);
+  }
+}
+
+module.exports = {
+  TcpConnection,
+  TcpOneShotConnection,
+  ResponseFrame
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Test helpers, kept out of the main entry: `require('hs100-api/testing')`
+ * @module hs100-api/testing
+ */
+module.exports = {
+  /**
+   * Fake device server for integration tests
+   * @type {FakeDevice}
+   */
+  FakeDevice: require('./fake-device')
+};
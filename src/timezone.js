@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Converts between IANA time zone names and the timezone `index` used by `timesetting.get_timezone`/`set_timezone`.
+ * @module timezone
+ */
+
+/**
+ * IANA time zone for each firmware timezone index, in index order.
+ * @private
+ */
+const TIMEZONES = [
+  'Etc/GMT+12', // 0
+  'Pacific/Pago_Pago',
+  'Pacific/Honolulu',
+  'America/Anchorage',
+  'America/Tijuana',
+  'Etc/GMT+8', // 5
+  'America/Los_Angeles',
+  'America/Phoenix',
+  'America/Mazatlan',
+  'Etc/GMT+7',
+  'America/Denver', // 10
+  'America/Mexico_City',
+  'Etc/GMT+6',
+  'America/Chicago',
+  'America/Monterrey',
+  'America/Regina', // 15
+  'America/Bogota',
+  'America/New_York',
+  'America/Indiana/Indianapolis',
+  'America/Caracas',
+  'America/Asuncion', // 20
+  'Etc/GMT+4',
+  'America/Halifax',
+  'America/Cuiaba',
+  'America/Manaus',
+  'America/Santiago', // 25
+  'America/St_Johns',
+  'America/Sao_Paulo',
+  'America/Argentina/Buenos_Aires',
+  'America/Cayenne',
+  'America/Miquelon', // 30
+  'America/Montevideo',
+  'Chile/Continental',
+  'America/Godthab',
+  'Atlantic/Azores',
+  'Atlantic/Cape_Verde', // 35
+  'Africa/Casablanca',
+  'Etc/UTC',
+  'Europe/London',
+  'Africa/Monrovia',
+  'Europe/Amsterdam', // 40
+  'Europe/Belgrade',
+  'Europe/Brussels',
+  'Europe/Sarajevo',
+  'Africa/Lagos',
+  'Africa/Windhoek', // 45
+  'Asia/Amman',
+  'Europe/Athens',
+  'Asia/Beirut',
+  'Africa/Cairo',
+  'Asia/Damascus', // 50
+  'EET',
+  'Africa/Harare',
+  'Europe/Helsinki',
+  'Europe/Istanbul',
+  'Asia/Jerusalem', // 55
+  'Europe/Kaliningrad',
+  'Africa/Tripoli',
+  'Asia/Baghdad',
+  'Asia/Kuwait',
+  'Europe/Minsk', // 60
+  'Europe/Moscow',
+  'Africa/Nairobi',
+  'Asia/Tehran',
+  'Asia/Muscat',
+  'Asia/Baku', // 65
+  'Europe/Samara',
+  'Indian/Mauritius',
+  'Asia/Tbilisi',
+  'Asia/Yerevan',
+  'Asia/Kabul', // 70
+  'Asia/Ashgabat',
+  'Asia/Yekaterinburg',
+  'Asia/Karachi',
+  'Asia/Kolkata',
+  'Asia/Colombo', // 75
+  'Asia/Kathmandu',
+  'Asia/Almaty',
+  'Asia/Dhaka',
+  'Asia/Novosibirsk',
+  'Asia/Rangoon', // 80
+  'Asia/Bangkok',
+  'Asia/Krasnoyarsk',
+  'Asia/Shanghai',
+  'Asia/Irkutsk',
+  'Asia/Singapore', // 85
+  'Australia/Perth',
+  'Asia/Taipei',
+  'Asia/Ulaanbaatar',
+  'Asia/Tokyo',
+  'Asia/Seoul', // 90
+  'Asia/Yakutsk',
+  'Australia/Adelaide',
+  'Australia/Darwin',
+  'Australia/Brisbane',
+  'Australia/Sydney', // 95
+  'Pacific/Guam',
+  'Australia/Hobart',
+  'Antarctica/DumontDUrville',
+  'Asia/Magadan',
+  'Asia/Srednekolymsk', // 100
+  'Etc/GMT-11',
+  'Asia/Anadyr',
+  'Pacific/Auckland',
+  'Etc/GMT-12',
+  'Pacific/Fiji', // 105
+  'Etc/GMT-13',
+  'Pacific/Apia',
+  'Etc/GMT-14'
+];
+
+/**
+ * `M/D/YYYY, HH:MM:SS`, as formatted by `Intl.DateTimeFormat` for `en-US`.
+ * @private
+ */
+const TIME_FIELDS_FORMAT = /^(\d+)\/(\d+)\/(\d+),? (\d+):(\d+):(\d+)$/;
+
+/**
+ * Returns the firmware timezone index for IANA time zone `name`.
+ *
+ * Aliases (such as `US/Pacific`) are resolved first. A zone not in the firmware's table is mapped to the first index
+ * with the same UTC offsets (in both January and July).
+ * @static
+ * @param  {string} name  such as `'Europe/Berlin'`
+ * @return {number}
+ * @throws {RangeError} when `name` is not a time zone, or no index has its offsets
+ */
+function timeZoneToIndex (name) {
+  let canonicalName = canonicalTimeZone(name);
+  if (canonicalName == null) {
+    throw new RangeError(`timezone: unknown time zone: ${name}`);
+  }
+  let index = TIMEZONES.findIndex((tz) => canonicalTimeZone(tz) === canonicalName);
+  if (index !== -1) return index;
+
+  let offsets = yearOffsets(canonicalName);
+  index = TIMEZONES.findIndex((tz) => {
+    let tzOffsets = yearOffsets(tz);
+    return tzOffsets != null && tzOffsets[0] === offsets[0] && tzOffsets[1] === offsets[1];
+  });
+  if (index !== -1) return index;
+  throw new RangeError(`timezone: no timezone index for: ${name}`);
+}
+
+/**
+ * Returns the IANA time zone for firmware timezone `index`.
+ * @static
+ * @param  {number} index
+ * @return {string}
+ * @throws {RangeError} when `index` is not in the firmware's table
+ */
+function indexToTimeZone (index) {
+  if (!Number.isInteger(index) || index < 0 || index >= TIMEZONES.length) {
+    throw new RangeError(`timezone: invalid timezone index: ${index}`);
+  }
+  return TIMEZONES[index];
+}
+
+/**
+ * Returns `{year, month, mday, hour, min, sec}` of `date` as local time in IANA time zone `timeZone`,
+ * or in the local time zone when `timeZone` is not given.
+ * @static
+ * @param  {Date}   date
+ * @param  {string} [timeZone]
+ * @return {Object}
+ */
+function dateToTimeFields (date, timeZone) {
+  if (timeZone == null) {
+    return {year: date.getFullYear(), month: date.getMonth() + 1, mday: date.getDate(), hour: date.getHours(), min: date.getMinutes(), sec: date.getSeconds()};
+  }
+  // `format` rather than `formatToParts` (Node 8+), and `hour12: false` rather than `hourCycle` (Node 12+),
+  // which formats midnight as `24` on some versions
+  let formatted = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).format(date);
+  let [, month, mday, year, hour, min, sec] = TIME_FIELDS_FORMAT.exec(formatted).map(Number);
+  return {year, month, mday, hour: hour % 24, min, sec};
+}
+
+/**
+ * Returns the `Date` of `{year, month, mday, hour, min, sec}` as local time in IANA time zone `timeZone`,
+ * or in the local time zone when `timeZone` is not given. Inverse of {@link dateToTimeFields}.
+ * @static
+ * @param  {Object} fields
+ * @param  {string} [timeZone]
+ * @return {Date}
+ */
+function timeFieldsToDate ({year, month, mday, hour, min, sec}, timeZone) {
+  if (timeZone == null) {
+    return new Date(year, month - 1, mday, hour, min, sec);
+  }
+  let utc = Date.UTC(year, month - 1, mday, hour, min, sec);
+  // Offset is taken again at the first guess, which may be on the other side of a DST change
+  let guess = utc - utcOffset(utc, timeZone);
+  return new Date(utc - utcOffset(guess, timeZone));
+}
+
+/**
+ * @private
+ */
+function canonicalTimeZone (name) {
+  try {
+    return new Intl.DateTimeFormat('en-US', {timeZone: name}).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * UTC offsets (minutes) of `timeZone` in January and July of this year.
+ * @private
+ */
+function yearOffsets (timeZone) {
+  if (canonicalTimeZone(timeZone) == null) return null;
+  let year = new Date().getUTCFullYear();
+  return [0, 6].map((month) => utcOffset(Date.UTC(year, month, 1), timeZone) / 60000);
+}
+
+/**
+ * UTC offset (ms) of `timeZone` at `time` (ms since epoch).
+ * @private
+ */
+function utcOffset (time, timeZone) {
+  let utc = Math.floor(time / 1000) * 1000;
+  let {year, month, mday, hour, min, sec} = dateToTimeFields(new Date(utc), timeZone);
+  return Date.UTC(year, month - 1, mday, hour, min, sec) - utc;
+}
+
+module.exports = {
+  timeZoneToIndex,
+  indexToTimeZone,
+  dateToTimeFields,
+  timeFieldsToDate
+};
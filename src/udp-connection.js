@@ -0,0 +1,152 @@
+'use strict';
+
+const dgram = require('dgram');
+
+const TimeoutError = require('./utils').TimeoutError;
+const ConnectionError = require('./utils').ConnectionError;
+const AbortError = require('./utils').AbortError;
+const onAbort = require('./utils').onAbort;
+const encrypt = require('./tplink-crypto').encrypt;
+const decrypt = require('./tplink-crypto').decrypt;
+
+/**
+ * Sends requests to a single device over UDP, a {@link Transport}.
+ *
+ * - Each request uses its own socket, so replies can only come from that request.
+ * - Replies are ignored unless they come from the device's port and answer the modules that were requested.
+ * - Unanswered requests are resent `retries` times, evenly spaced within the timeout.
+ * @private
+ */
+class UdpConnection {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.host
+   * @param  {number} options.port
+   * @param  {Object} options.log
+   * @param  {number} [options.retries=2]
+   */
+  constructor ({host, port, log, retries = 2}) {
+    this.host = host;
+    this.port = port;
+    this.log = log;
+    this.retries = retries;
+  }
+
+  /**
+   * Sockets are opened by {@link #request}.
+   * @return {Promise}
+   */
+  open () {
+    return Promise.resolve();
+  }
+
+  /**
+   * @param  {string} payloadString
+   * @param  {Object} [options]
+   * @param  {number} [options.timeout] (ms) for all attempts combined
+   * @param  {AbortSignal} [options.signal]
+   * @return {Promise<string, Error>} decrypted response
+   */
+  request (payloadString, {timeout, signal} = {}) {
+    this.log.debug('udpConnection.request(%s:%s)', this.host, this.port);
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError('udpConnection.request: aborted', {reason: signal.reason}));
+        return;
+      }
+
+      let request;
+      try {
+        request = JSON.parse(payloadString);
+      } catch (e) {
+        request = null;
+      }
+
+      let socket = dgram.createSocket('udp4');
+      let msgBuf = encrypt(payloadString);
+      let attempts = 0;
+      let retryTimer;
+      let timer;
+      let settled = false;
+      let removeAbort = onAbort(signal, () => {
+        finish(new AbortError('udpConnection.request: aborted', {reason: signal.reason}));
+      });
+
+      let finish = (err, response) => {
+        if (settled) return;
+        settled = true;
+        removeAbort();
+        clearInterval(retryTimer);
+        clearTimeout(timer);
+        socket.close();
+        if (err) {
+          this.log.error('udpConnection: %s', err.message);
+          reject(err);
+        } else {
+          resolve(response);
+        }
+      };
+
+      let sendAttempt = () => {
+        attempts += 1;
+        this.log.debug('udpConnection: sending attempt %s', attempts);
+        socket.send(msgBuf, 0, msgBuf.length, this.port, this.host);
+      };
+
+      socket.on('message', (msg, rinfo) => {
+        let decryptedMsg = decrypt(msg).toString('ascii');
+        if (rinfo.port !== this.port || !matchesRequest(request, decryptedMsg)) {
+          this.log.debug('udpConnection: ignoring unrelated message from %s:%s', rinfo.address, rinfo.port);
+          return;
+        }
+        finish(null, decryptedMsg);
+      });
+
+      socket.on('error', (err) => {
+        finish(new ConnectionError('udpConnection: socket error', {cause: err}));
+      });
+
+      socket.bind(() => {
+        if (settled) return;
+        if (timeout > 0) {
+          timer = setTimeout(() => {
+            finish(new TimeoutError(`udpConnection.request: timeout ${timeout} after ${attempts} attempt(s)`, {timeout}));
+          }, timeout);
+          if (this.retries > 0) {
+            retryTimer = setInterval(() => {
+              if (attempts <= this.retries) sendAttempt();
+            }, timeout / (this.retries + 1));
+          }
+        }
+        sendAttempt();
+      });
+    });
+  }
+
+  /**
+   * Nothing to close, each request closes its own socket.
+   * @return {Promise}
+   */
+  close () {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Checks that `responseString` answers every module in `request`.
+ * @private
+ */
+function matchesRequest (request, responseString) {
+  if (request == null || typeof request !== 'object') return true;
+  let response;
+  try {
+    response = JSON.parse(responseString);
+  } catch (e) {
+    return false;
+  }
+  return Object.keys(request).every((key) => response[key] !== undefined);
+}
+
+module.exports = {
+  UdpConnection
+};
@@ -7,15 +7,264 @@
  * @extends Error
  */
 class ResponseError extends Error {
-  constructor (message, response) {
+  /**
+   * @param  {string} message
+   * @param  {Object} response   response (fragment) containing `err_code`
+   * @param  {Object} [details]
+   * @param  {string} [details.host]
+   * @param  {number} [details.port]
+   * @param  {string} [details.module] module name of command, such as `system`
+   * @param  {string} [details.method] method name of command, such as `get_sysinfo`
+   */
+  constructor (message, response, {host, port, module, method} = {}) {
     super(message);
     this.name = 'ResponseError';
     this.message = `${message} response: ${JSON.stringify(response)}`;
     this.response = response;
+    this.errCode = (response != null ? response.err_code : undefined);
+    this.errMsg = (response != null ? response.err_msg : undefined);
+    this.module = module;
+    this.method = method;
+    this.host = host;
+    this.port = port;
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * Device did not respond within the timeout.
+ * @extends Error
+ */
+class TimeoutError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {Object} [details]
+   * @param  {number} [details.timeout] (ms)
+   * @param  {string} [details.host]
+   * @param  {number} [details.port]
+   */
+  constructor (message, {timeout, host, port} = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.timeout = timeout;
+    this.host = host;
+    this.port = port;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Connection to device could not be made or was lost before a response was received.
+ *
+ * `code` is copied from the underlying socket error (such as `ECONNREFUSED`), if any,
+ * or is `EQUEUEFULL` when a persistent connection's `maxQueueDepth` was reached.
+ * @extends Error
+ */
+class ConnectionError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {Object} [details]
+   * @param  {Error}  [details.cause] underlying socket error
+   * @param  {string} [details.code]  defaults to `cause.code`
+   * @param  {string} [details.host]
+   * @param  {number} [details.port]
+   */
+  constructor (message, {cause, code, host, port} = {}) {
+    super(cause ? `${message}: ${cause.message}` : message);
+    this.name = 'ConnectionError';
+    this.cause = cause;
+    this.code = (code != null ? code : (cause != null ? cause.code : undefined));
+    this.host = host;
+    this.port = port;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Device's response could not be decoded, such as a truncated or oversized frame.
+ * @extends Error
+ */
+class ProtocolError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {Object} [details]
+   * @param  {string} [details.response] raw (decrypted) response, if available
+   * @param  {string} [details.host]
+   * @param  {number} [details.port]
+   */
+  constructor (message, {response, host, port} = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.response = response;
+    this.host = host;
+    this.port = port;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Device's response was decrypted but is not valid JSON.
+ * @extends ProtocolError
+ */
+class ParseError extends ProtocolError {
+  constructor (message, details) {
+    super(message, details);
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * Operation was cancelled with an `AbortSignal`.
+ * @extends Error
+ */
+class AbortError extends Error {
+  /**
+   * @param  {string} [message='aborted']
+   * @param  {Object} [details]
+   * @param  {*}      [details.reason] `signal.reason`, if any
+   */
+  constructor (message = 'aborted', {reason} = {}) {
+    super(message);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = reason;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Device does not have the capability a method needs, so the command was not sent.
+ *
+ * See {@link Device#supports}.
+ * @extends Error
+ */
+class CapabilityError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {Object} [details]
+   * @param  {string} [details.capability] such as `emeter`
+   * @param  {string} [details.method]     such as `device.getConsumption`
+   * @param  {string} [details.model]
+   */
+  constructor (message, {capability, method, model} = {}) {
+    super(message);
+    this.name = 'CapabilityError';
+    this.capability = capability;
+    this.method = method;
+    this.model = model;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Calls `callback` when `signal` (an `AbortSignal` or similar) is aborted.
+ *
+ * Does not check `signal.aborted`, callers should check it first.
+ * @private
+ * @param  {AbortSignal} [signal]
+ * @param  {Function}    callback
+ * @return {Function}    removes the listener
+ */
+function onAbort (signal, callback) {
+  if (signal == null) return () => {};
+  let listener = () => callback();
+  signal.addEventListener('abort', listener);
+  return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Resolves after `ms`, or rejects with {@link AbortError} if `signal` is aborted first.
+ * @private
+ * @param  {number}      ms
+ * @param  {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function delay (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError('delay: aborted', {reason: signal.reason}));
+      return;
+    }
+    let removeAbort;
+    let timer = setTimeout(() => {
+      removeAbort();
+      resolve();
+    }, ms);
+    removeAbort = onAbort(signal, () => {
+      clearTimeout(timer);
+      removeAbort();
+      reject(new AbortError('delay: aborted', {reason: signal.reason}));
+    });
+  });
+}
+
+/**
+ * A payload is idempotent when every method it calls is a getter (starts with `get_`).
+ * @private
+ * @param  {Object|string} payload
+ * @return {boolean}
+ */
+function isIdempotent (payload) {
+  if (typeof payload === 'string' || payload instanceof String) {
+    try {
+      payload = JSON.parse(payload);
+    } catch (e) {
+      return false;
+    }
+  }
+  if (payload == null || typeof payload !== 'object') return false;
+  return Object.keys(payload).every((moduleName) => {
+    let methods = payload[moduleName];
+    if (moduleName === 'context') return true;
+    if (methods == null || typeof methods !== 'object') return false;
+    return Object.keys(methods).every((method) => method.startsWith('get_'));
+  });
+}
+
+/**
+ * Unit families of `emeter.get_realtime`: `[base unit field, milli/watt-hour unit field, factor]`.
+ * @private
+ */
+const CONSUMPTION_UNITS = [
+  ['power', 'power_mw', 1000],
+  ['voltage', 'voltage_mv', 1000],
+  ['current', 'current_ma', 1000],
+  ['total', 'total_wh', 1000]
+];
+
+/**
+ * Returns a copy of an `emeter.get_realtime` response with both unit families.
+ *
+ * HS110 v1 responds with `power` (W), `voltage` (V), `current` (A) and `total` (kWh),
+ * v2 firmware with `power_mw`, `voltage_mv`, `current_ma` and `total_wh`, and bulbs with `power_mw` only.
+ * Each field that is missing is calculated from the other family; fields the device reports neither way are left out.
+ * @private
+ * @param  {Object} realtime
+ * @return {Object}
+ */
+function normalizeConsumption (realtime) {
+  let consumption = Object.assign({}, realtime);
+  CONSUMPTION_UNITS.forEach(([base, milli, factor]) => {
+    if (consumption[base] == null && consumption[milli] != null) {
+      consumption[base] = consumption[milli] / factor;
+    } else if (consumption[milli] == null && consumption[base] != null) {
+      consumption[milli] = Math.round(consumption[base] * factor);
+    }
+  });
+  return consumption;
+}
+
 module.exports = {
-  ResponseError
+  delay,
+  isIdempotent,
+  normalizeConsumption,
+  onAbort,
+  AbortError,
+  CapabilityError,
+  ResponseError,
+  TimeoutError,
+  ConnectionError,
+  ProtocolError,
+  ParseError
 };
@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const getModelInfo = require('../src').getModelInfo;
+const capabilitiesFromSysInfo = require('../src/capabilities').capabilitiesFromSysInfo;
+
+describe('capabilities', function () {
+  describe('getModelInfo()', function () {
+    it('should find models with and without region', function () {
+      expect(getModelInfo('HS110(US)')).to.include({model: 'HS110', friendlyName: 'Smart Wi-Fi Plug with Energy Monitoring', colorTempRange: null});
+      expect(getModelInfo('LB130')).to.have.property('colorTempRange').that.eql([2500, 9000]);
+    });
+
+    it('should prefer the longest model number', function () {
+      expect(getModelInfo('KL400L5(US)')).to.include({model: 'KL400'});
+      expect(getModelInfo('KL130(EU)')).to.include({model: 'KL130'});
+    });
+
+    it('should return null for unknown models', function () {
+      expect(getModelInfo('XX100(US)')).to.be.null;
+      expect(getModelInfo(undefined)).to.be.null;
+    });
+  });
+
+  describe('capabilitiesFromSysInfo()', function () {
+    it('should derive plug capabilities from feature and led_off', function () {
+      expect(capabilitiesFromSysInfo({type: 'IOT.SMARTPLUGSWITCH', model: 'HS100(US)', feature: 'TIM', led_off: 0}))
+        .to.have.members(['timer', 'led']);
+      expect(capabilitiesFromSysInfo({type: 'IOT.SMARTPLUGSWITCH', model: 'HS110(US)', feature: 'TIM:ENE', led_off: 0}))
+        .to.have.members(['emeter', 'timer', 'led']);
+    });
+
+    it('should derive dimmer and power strip capabilities', function () {
+      expect(capabilitiesFromSysInfo({type: 'IOT.SMARTPLUGSWITCH', feature: 'TIM', brightness: 50})).to.include('dimmable');
+      expect(capabilitiesFromSysInfo({type: 'IOT.SMARTPLUGSWITCH', feature: 'TIM', children: [{id: '00'}]})).to.include('children');
+      expect(capabilitiesFromSysInfo({type: 'IOT.SMARTPLUGSWITCH', feature: 'TIM', children: []})).to.not.include('children');
+    });
+
+    it('should derive bulb capabilities from is_* flags', function () {
+      expect(capabilitiesFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'LB100(US)', is_dimmable: 1, is_color: 0, is_variable_color_temp: 0}))
+        .to.have.members(['emeter', 'dimmable']);
+      expect(capabilitiesFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'LB130(US)', is_dimmable: 1, is_color: 1, is_variable_color_temp: 1}))
+        .to.have.members(['emeter', 'dimmable', 'color', 'colorTemp']);
+    });
+
+    it('should use the model table when color temperature is not reported', function () {
+      expect(capabilitiesFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'KL120(US)'})).to.include('colorTemp');
+      expect(capabilitiesFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'KL110(US)'})).to.not.include('colorTemp');
+    });
+
+    it('should derive light strip capabilities', function () {
+      expect(capabilitiesFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'KL430(US)', length: 16, lighting_effect_state: {enable: 0}}))
+        .to.include.members(['segments', 'lightingEffects']);
+    });
+  });
+});
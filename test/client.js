@@ -1,5 +1,5 @@
 /* eslint-env mocha */
-/* global testDevices getTestClient */
+/* global testDevices getTestClient AbortController */
 /* eslint no-unused-expressions: ["off"] */
 
 'use strict';
@@ -8,9 +8,33 @@ const chai = require('chai');
 const expect = chai.expect;
 chai.use(require('chai-as-promised'));
 
+const dgram = require('dgram');
+const net = require('net');
+
+const Hs100Api = require('../src');
+const FakeDevice = require('../src/testing').FakeDevice;
+const Client = Hs100Api.Client;
 const Device = require('../src/device.js');
 const Plug = require('../src/plug.js');
 const Bulb = require('../src/bulb.js');
+const encrypt = require('../src/tplink-crypto').encrypt;
+const decrypt = require('../src/tplink-crypto').decrypt;
+
+function frame (body, length = body.length) {
+  let header = Buffer.alloc(4);
+  header.writeUInt32BE(length, 0);
+  return Buffer.concat([header, encrypt(body)]);
+}
+
+function startRawServer (respond) {
+  return new Promise((resolve) => {
+    let server = net.createServer((socket) => {
+      socket.once('data', () => respond(socket));
+      socket.on('error', () => {});
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
 
 describe('Client', function () {
   this.timeout(5000);
@@ -159,6 +183,181 @@ describe('Client', function () {
     });
   });
 
+  describe('#syncClocks()', function () {
+    let fakes;
+    let devices;
+
+    beforeEach(async function () {
+      fakes = await Promise.all([new FakeDevice().start(), new FakeDevice({type: 'bulb'}).start()]);
+      devices = await Promise.all(fakes.map((fake) => client.getDevice({host: fake.address, port: fake.port})));
+      devices.forEach((device) => client.devices.set(device.deviceId, device));
+    });
+
+    afterEach(function () {
+      client.devices.clear();
+      return Promise.all(fakes.map((fake) => fake.stop()));
+    });
+
+    it('should report drift and set clocks that are off', async function () {
+      fakes[0].state.timeOffset = -60000;
+      let results = await client.syncClocks();
+      expect(results).to.have.lengthOf(2);
+      expect(results[0]).to.include({device: devices[0], synced: true});
+      expect(results[0].drift).to.be.within(-62000, -58000);
+      expect(results[1]).to.include({device: devices[1], synced: false});
+      expect(results[1].drift).to.be.within(-2000, 2000);
+      expect(Math.abs(fakes[0].state.timeOffset)).to.be.below(2000);
+    });
+
+    it('should skip offline devices and report errors', async function () {
+      devices[1].status = 'offline';
+      fakes[0].failMethod('time', 'get_time');
+      let results = await client.syncClocks();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].error).to.be.an.instanceof(Hs100Api.ResponseError);
+      expect(results[0].synced).to.be.false;
+    });
+
+    it('should compare and set clocks in each device time zone', async function () {
+      fakes[0].state.timezoneIndex = 89; // Asia/Tokyo
+      fakes[1].state.timezoneIndex = 200;
+      let results = await client.syncClocks();
+      expect(results[0]).to.include({synced: false});
+      expect(results[0].drift).to.be.within(-2000, 2000);
+      expect(results[1].error).to.be.an.instanceof(RangeError);
+      expect(results[1].synced).to.be.false;
+
+      fakes[0].state.timeOffset = 3600000;
+      results = await client.syncClocks({devices: [devices[0]]});
+      expect(results[0]).to.include({synced: true});
+      expect(Math.abs(fakes[0].state.timeOffset)).to.be.below(2000);
+    });
+
+    it('should sync only given devices', async function () {
+      let results = await client.syncClocks({devices: [devices[1]], maxDrift: 0});
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({device: devices[1], synced: true});
+    });
+  });
+
+  describe('#provision()', function () {
+    let fake;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice().start();
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should join the network and resolve with the discovered device', async function () {
+      let device = await client.provision({
+        ssid: 'home',
+        password: 'secret',
+        host: fake.address,
+        port: fake.port,
+        discoveryOptions: {broadcast: '127.255.255.255', devices: [{host: fake.address, port: fake.port}], discoveryInterval: 100}
+      });
+      expect(fake.state.network).to.eql({ssid: 'home', password: 'secret', keyType: 3});
+      expect(device.deviceId).to.eql(fake.state.sysInfo.deviceId);
+      expect(client.isSocketBound).to.not.be.ok;
+    });
+
+    it('should reject if the device is not discovered', async function () {
+      await expect(client.provision({
+        ssid: 'home',
+        password: 'secret',
+        host: fake.address,
+        port: fake.port,
+        discoveryTimeout: 300,
+        discoveryOptions: {broadcast: '127.255.255.255', discoveryInterval: 100}
+      })).to.eventually.be.rejectedWith(Hs100Api.TimeoutError, /not discovered/);
+      expect(client.listenerCount('device-new')).to.eql(0);
+    });
+  });
+
+  describe('#registerDeviceType()', function () {
+    class MyPlug extends Hs100Api.Plug {}
+    let fake;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug', emeter: true}).start();
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    let registerMyPlug = (priority) => client.registerDeviceType({
+      name: 'myplug',
+      match: (sysInfo) => sysInfo.model.startsWith('HS110'),
+      create: (options) => new MyPlug(options),
+      priority
+    });
+
+    it('should be used by getDevice before built in types', async function () {
+      registerMyPlug();
+      let device = await client.getDevice({host: fake.address, port: fake.port});
+      expect(device).to.be.an.instanceof(MyPlug);
+      expect(device.client).to.equal(client);
+      expect(device.sysInfo.deviceId).to.eql(fake.state.sysInfo.deviceId);
+    });
+
+    it('should be tried after built in types with a lower priority', async function () {
+      registerMyPlug(-1);
+      let device = await client.getDevice({host: fake.address, port: fake.port});
+      expect(device).to.be.an.instanceof(Plug).and.not.an.instanceof(MyPlug);
+    });
+
+    it('should be used by getDeviceFromType', function () {
+      registerMyPlug();
+      expect(client.getDeviceFromType('MyPlug', {host: fake.address})).to.be.an.instanceof(MyPlug);
+    });
+
+    it('should replace a type with the same name', function () {
+      registerMyPlug();
+      client.registerDeviceType({name: 'myPlug', match: () => false, create: (options) => new Bulb(options)});
+      expect(client.getDeviceFromType('myplug', {host: fake.address})).to.be.an.instanceof(Bulb);
+      expect(client.getDeviceFromSysInfo(fake.state.sysInfo, {host: fake.address})).to.not.be.an.instanceof(MyPlug);
+    });
+
+    it('should be used by discovery', function (done) {
+      registerMyPlug();
+      client.startDiscovery({broadcast: '127.255.255.255', devices: [{host: fake.address, port: fake.port}], discoveryInterval: 100})
+        .once('device-new', (device) => {
+          expect(device).to.be.an.instanceof(MyPlug);
+          client.stopDiscovery();
+          done();
+        });
+    });
+
+    it('should throw TypeError for an invalid type', function () {
+      expect(() => client.registerDeviceType({match: () => true, create: () => null})).to.throw(TypeError);
+      expect(() => client.registerDeviceType({name: 'x', match: true, create: () => null})).to.throw(TypeError);
+      expect(() => client.registerDeviceType({name: 'x', match: () => true, create: () => null, priority: 'high'})).to.throw(TypeError);
+    });
+
+    it('should create instances of the exported device classes', function () {
+      expect(Hs100Api.Device).to.equal(Device);
+      expect(client.getPlug({host: '127.0.0.1'})).to.be.an.instanceof(Hs100Api.Plug).and.an.instanceof(Hs100Api.Device);
+      expect(client.getBulb({host: '127.0.0.1'})).to.be.an.instanceof(Hs100Api.Bulb);
+      expect(client.getPowerStrip({host: '127.0.0.1'})).to.be.an.instanceof(Hs100Api.PowerStrip);
+      expect(client.getDimmer({host: '127.0.0.1'})).to.be.an.instanceof(Hs100Api.Dimmer);
+      expect(client.getLightStrip({host: '127.0.0.1'})).to.be.an.instanceof(Hs100Api.LightStrip);
+      expect(Hs100Api.Outlet).to.be.a('function');
+    });
+
+    it('should create a generic Device for unknown devices', async function () {
+      fake.state.sysInfo.type = 'IOT.SMARTTHING';
+      let device = await client.getDevice({host: fake.address, port: fake.port});
+      expect(device).to.be.an.instanceof(Device).and.not.an.instanceof(Plug);
+      expect(device.type).to.eql('device');
+      expect(await device.sendCommand({system: {get_sysinfo: {}}})).to.have.property('type', 'IOT.SMARTTHING');
+      expect(client.getDeviceFromType('nothing', {host: fake.address})).to.be.an.instanceof(Device).and.not.an.instanceof(Plug);
+    });
+  });
+
   describe('.send()', function () {
     let options;
     before(function () {
@@ -172,5 +371,382 @@ describe('Client', function () {
       return expect(client.send({host: options.host, port: options.port, payload: {'system': {'get_sysinfo': {}}}, timeout: 1000}))
         .to.eventually.have.nested.property('system.get_sysinfo.err_code', 0);
     });
+
+    context('udp transport', function () {
+      it('should return info with udp transport', function () {
+        return expect(client.send({host: options.host, port: options.port, payload: {'system': {'get_sysinfo': {}}}, timeout: 1000, transport: 'udp'}))
+          .to.eventually.have.nested.property('system.get_sysinfo.err_code', 0);
+      });
+
+      it('should use client default transport', function () {
+        let udpClient = new Client({transport: 'udp'});
+        return expect(udpClient.send({host: options.host, port: options.port, payload: {'system': {'get_sysinfo': {}}}, timeout: 1000}))
+          .to.eventually.have.nested.property('system.get_sysinfo.err_code', 0);
+      });
+
+      it('should reject with an unknown transport', function () {
+        return expect(client.send({host: options.host, port: options.port, payload: '{}', transport: 'carrier-pigeon'}))
+          .to.eventually.be.rejectedWith(/unknown transport/);
+      });
+
+      context('with a lossy device', function () {
+        let server;
+        let received;
+
+        beforeEach(function (done) {
+          received = [];
+          server = dgram.createSocket('udp4');
+          server.on('message', (msg, rinfo) => {
+            received.push(decrypt(msg).toString('ascii'));
+            if (received.length < 2) return; // drop first request
+            let response = encrypt('{"unrelated":{}}');
+            server.send(response, 0, response.length, rinfo.port, rinfo.address);
+            response = encrypt('{"system":{"get_sysinfo":{"err_code":0}}}');
+            server.send(response, 0, response.length, rinfo.port, rinfo.address);
+          });
+          server.bind(0, '127.0.0.1', done);
+        });
+
+        afterEach(function () {
+          server.close();
+        });
+
+        it('should resend and match the reply to the request', async function () {
+          let response = await client.send({host: '127.0.0.1', port: server.address().port, payload: {system: {get_sysinfo: {}}}, timeout: 600, transport: 'udp'});
+          expect(response).to.have.nested.property('system.get_sysinfo.err_code', 0);
+          expect(received).to.have.lengthOf(2);
+        });
+
+        it('should reject after timeout', function () {
+          let quietClient = new Client({udpRetries: 0});
+          return expect(quietClient.send({host: '127.0.0.1', port: server.address().port, payload: {system: {get_sysinfo: {}}}, timeout: 100, transport: 'udp'}))
+            .to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+        });
+      });
+    });
+
+    context('custom transport', function () {
+      let calls;
+      let factory;
+
+      beforeEach(function () {
+        calls = [];
+        factory = ({host, port, persistentConnection}) => {
+          calls.push(['create', host, port, persistentConnection]);
+          return {
+            open: () => { calls.push(['open']); return Promise.resolve(); },
+            request: (payload) => {
+              calls.push(['request', payload]);
+              return Promise.resolve('{"system":{"get_sysinfo":{"err_code":0,"alias":"memory"}}}');
+            },
+            close: () => { calls.push(['close']); return Promise.resolve(); }
+          };
+        };
+      });
+
+      it('should open, request and close a registered transport', async function () {
+        client.registerTransport('memory', factory);
+        let response = await client.send({host: '10.0.0.1', payload: {system: {get_sysinfo: {}}}, transport: 'memory'});
+        expect(response).to.have.nested.property('system.get_sysinfo.alias', 'memory');
+        expect(calls).to.eql([
+          ['create', '10.0.0.1', 9999, false],
+          ['open'],
+          ['request', '{"system":{"get_sysinfo":{}}}'],
+          ['close']
+        ]);
+      });
+
+      it('should use a registered transport as client default', async function () {
+        let memoryClient = new Client({transport: 'memory'});
+        memoryClient.registerTransport('memory', factory);
+        await memoryClient.getSysInfo({host: '10.0.0.1'});
+        expect(calls).to.have.lengthOf(4);
+      });
+
+      it('should use a transport factory given to a device', async function () {
+        let device = client.getGeneralDevice({host: '10.0.0.1', transport: factory});
+        expect(await device.getSysInfo()).to.have.property('alias', 'memory');
+        expect(calls[0]).to.eql(['create', '10.0.0.1', 9999, false]);
+      });
+
+      it('should reuse a persistent transport until connections are closed', async function () {
+        let persistentClient = new Client({persistentConnection: true, transport: factory});
+        await persistentClient.send({host: '10.0.0.1', payload: '{}'});
+        await persistentClient.send({host: '10.0.0.1', payload: '{}'});
+        persistentClient.closeConnections();
+        expect(calls.map((c) => c[0])).to.eql(['create', 'open', 'request', 'request', 'close']);
+      });
+
+      it('should reject when open fails', function () {
+        client.registerTransport('broken', () => ({
+          open: () => Promise.reject(new Error('no tunnel')),
+          request: () => Promise.resolve('{}'),
+          close: () => Promise.resolve()
+        }));
+        return expect(client.send({host: '10.0.0.1', payload: '{}', transport: 'broken'})).to.eventually.be.rejectedWith(/no tunnel/);
+      });
+
+      it('should throw when factory is not a function', function () {
+        expect(() => client.registerTransport('memory', {})).to.throw(TypeError);
+      });
+    });
+
+    context('persistentConnection', function () {
+      let persistentClient;
+
+      beforeEach(function () {
+        persistentClient = new Client({persistentConnection: true, idleTimeout: 50});
+      });
+
+      afterEach(function () {
+        persistentClient.closeConnections();
+      });
+
+      ['anyplug', 'anybulb'].forEach((deviceKey) => {
+        it(`should resolve queued requests in order for ${deviceKey}`, async function () {
+          let options = testDevices[deviceKey].options;
+          let requests = [];
+          for (let i = 0; i < 5; i++) {
+            requests.push(persistentClient.send({host: options.host, port: options.port, payload: {system: {get_sysinfo: {}}}}));
+          }
+          let responses = await Promise.all(requests);
+          responses.forEach((r) => expect(r).to.have.nested.property('system.get_sysinfo.err_code', 0));
+          expect(persistentClient.connections.size).to.eql(1);
+        });
+      });
+
+      it('should reconnect after idle timeout', async function () {
+        let options = testDevices['anybulb'].options;
+        let payload = {system: {get_sysinfo: {}}};
+        await persistentClient.send({host: options.host, port: options.port, payload});
+        let connection = persistentClient.getConnection(options);
+        expect(connection.socket).to.exist;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect(connection.socket).to.not.exist;
+        return expect(persistentClient.send({host: options.host, port: options.port, payload}))
+          .to.eventually.have.nested.property('system.get_sysinfo.err_code', 0);
+      });
+
+      it('should reject when maxQueueDepth is reached', function () {
+        let options = testDevices['anydevice'].options;
+        let payload = {system: {get_sysinfo: {}}};
+        let shallowClient = new Client({persistentConnection: true, maxQueueDepth: 1});
+        let first = shallowClient.send({host: options.host, port: options.port, payload});
+        let second = shallowClient.send({host: options.host, port: options.port, payload});
+        return Promise.all([
+          expect(first).to.eventually.have.nested.property('system.get_sysinfo.err_code', 0),
+          expect(second).to.eventually.be.rejectedWith(Hs100Api.ConnectionError, /maxQueueDepth/)
+            .and.include({code: 'EQUEUEFULL', host: options.host, port: options.port})
+        ]).then(() => shallowClient.closeConnections());
+      });
+    });
+
+    context('retry', function () {
+      let server;
+      let connectionCount;
+
+      beforeEach(function () {
+        connectionCount = 0;
+        return startRawServer((socket) => {
+          connectionCount += 1;
+          if (connectionCount < 3) return; // no response, client will time out
+          socket.end(frame('{"system":{"get_sysinfo":{"err_code":0}}}'));
+        }).then((s) => { server = s; });
+      });
+
+      afterEach(function () {
+        server.close();
+      });
+
+      function sendToServer (sendOptions, clientOptions) {
+        let retryClient = new Client(clientOptions);
+        return retryClient.send(Object.assign({host: '127.0.0.1', port: server.address().port, payload: '{"system":{"get_sysinfo":{}}}', timeout: 50}, sendOptions));
+      }
+
+      it('should not retry by default', async function () {
+        let err = await expect(sendToServer()).to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+        expect(err).to.include({timeout: 50, host: '127.0.0.1'});
+        expect(err.attempts).to.have.lengthOf(1);
+        expect(connectionCount).to.eql(1);
+      });
+
+      it('should retry idempotent commands up to maxAttempts', async function () {
+        let response = await sendToServer({}, {retry: {maxAttempts: 3, minDelay: 1}});
+        expect(response).to.have.nested.property('system.get_sysinfo.err_code', 0);
+        expect(connectionCount).to.eql(3);
+      });
+
+      it('should allow per call retry policy', async function () {
+        let err = await expect(sendToServer({retry: {maxAttempts: 2, minDelay: 1}}, {retry: {maxAttempts: 5}}))
+          .to.eventually.be.rejectedWith(/timeout/);
+        expect(err.attempts).to.have.lengthOf(2);
+        err.attempts.forEach((a) => expect(a.error).to.have.property('code', 'ETIMEDOUT'));
+      });
+
+      it('should use device retry policy', async function () {
+        let device = new Client().getGeneralDevice({host: '127.0.0.1', port: server.address().port, timeout: 50, retry: {maxAttempts: 3, minDelay: 1}});
+        await device.getSysInfo();
+        expect(connectionCount).to.eql(3);
+      });
+
+      it('should not retry errors excluded by retryOn', async function () {
+        await expect(sendToServer({retry: {maxAttempts: 3, minDelay: 1, retryOn: ['ECONNRESET']}})).to.eventually.be.rejected;
+        expect(connectionCount).to.eql(1);
+      });
+
+      it('should not retry non-idempotent commands', async function () {
+        await expect(sendToServer({payload: '{"system":{"set_relay_state":{"state":1}}}', retry: {maxAttempts: 3, minDelay: 1}})).to.eventually.be.rejected;
+        expect(connectionCount).to.eql(1);
+      });
+
+      it('should retry non-idempotent commands when enabled', async function () {
+        await sendToServer({payload: '{"system":{"set_relay_state":{"state":1}}}', retry: {maxAttempts: 3, minDelay: 1, retryNonIdempotent: true}});
+        expect(connectionCount).to.eql(3);
+      });
+
+      it('should retry non-idempotent commands marked idempotent', async function () {
+        await sendToServer({payload: '{"system":{"set_relay_state":{"state":1}}}', retry: {maxAttempts: 3, minDelay: 1}, idempotent: true});
+        expect(connectionCount).to.eql(3);
+      });
+    });
+
+    context('framed responses', function () {
+      const body = JSON.stringify({system: {get_sysinfo: {err_code: 0, alias: 'x'.repeat(4000)}}});
+      let server;
+
+      afterEach(function () {
+        if (server) server.close();
+        server = null;
+      });
+
+      function sendToServer (respond, clientOptions) {
+        return startRawServer(respond).then((s) => {
+          server = s;
+          let c = new Client(clientOptions);
+          return c.send({host: '127.0.0.1', port: server.address().port, payload: '{}', timeout: 1000});
+        });
+      }
+
+      it('should reassemble a response split across several writes', function () {
+        return expect(sendToServer((socket) => {
+          let buf = frame(body);
+          socket.write(buf.slice(0, 2));
+          setTimeout(() => socket.write(buf.slice(2, 1000)), 10);
+          setTimeout(() => socket.end(buf.slice(1000)), 20);
+        })).to.eventually.have.nested.property('system.get_sysinfo.alias', 'x'.repeat(4000));
+      });
+
+      it('should reject when the response is truncated', function () {
+        return expect(sendToServer((socket) => {
+          socket.end(frame(body).slice(0, 100));
+        })).to.eventually.be.rejectedWith(Hs100Api.ProtocolError, /truncated/);
+      });
+
+      it('should reject with ConnectionError when closed without a response', async function () {
+        let err = await expect(sendToServer((socket) => {
+          socket.end();
+        })).to.eventually.be.rejectedWith(Hs100Api.ConnectionError, /closed before response/);
+        expect(err).to.include({host: '127.0.0.1'});
+      });
+
+      it('should reject when the response exceeds maxResponseSize', function () {
+        return expect(sendToServer((socket) => {
+          socket.end(frame(body));
+        }, {maxResponseSize: 1000})).to.eventually.be.rejectedWith(Hs100Api.ProtocolError, /exceeds maxResponseSize/);
+      });
+
+      it('should reject when extra bytes follow the response', function () {
+        return expect(sendToServer((socket) => {
+          socket.end(Buffer.concat([frame(body), Buffer.from('extra')]));
+        })).to.eventually.be.rejectedWith(Hs100Api.ProtocolError, /beyond length header/);
+      });
+
+      it('should reject with ParseError when the response is not JSON', async function () {
+        let err = await expect(sendToServer((socket) => {
+          socket.end(frame('not json'));
+        })).to.eventually.be.rejectedWith(Hs100Api.ParseError);
+        expect(err).to.be.an.instanceof(Hs100Api.ProtocolError);
+        expect(err).to.have.property('response', 'not json');
+        expect(err).to.have.property('host', '127.0.0.1');
+      });
+
+      it('should reject with ResponseError when the response has a top level err_code', async function () {
+        let err = await expect(sendToServer((socket) => {
+          socket.end(frame('{"err_code":-1,"err_msg":"module not support"}'));
+        })).to.eventually.be.rejectedWith(Hs100Api.ResponseError);
+        expect(err).to.include({errCode: -1, errMsg: 'module not support', host: '127.0.0.1'});
+      });
+
+      it('should reject with ConnectionError when the connection is refused', async function () {
+        let closedServer = await startRawServer(() => {});
+        let port = closedServer.address().port;
+        await new Promise((resolve) => closedServer.close(resolve));
+        let err = await expect(client.send({host: '127.0.0.1', port, payload: '{}', timeout: 1000}))
+          .to.eventually.be.rejectedWith(Hs100Api.ConnectionError);
+        expect(err).to.include({code: 'ECONNREFUSED', host: '127.0.0.1', port});
+      });
+    });
+
+    context('signal', function () {
+      let server;
+      let connectionCount;
+
+      beforeEach(function () {
+        connectionCount = 0;
+        return startRawServer(() => { connectionCount += 1; }).then((s) => { server = s; });
+      });
+
+      afterEach(function () {
+        server.close();
+      });
+
+      function sendToServer (sendOptions, clientOptions) {
+        let c = new Client(clientOptions);
+        return c.send(Object.assign({host: '127.0.0.1', port: server.address().port, payload: '{"system":{"get_sysinfo":{}}}', timeout: 1000}, sendOptions));
+      }
+
+      it('should reject without sending when already aborted', async function () {
+        let controller = new AbortController();
+        controller.abort();
+        await expect(sendToServer({signal: controller.signal})).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+        expect(connectionCount).to.eql(0);
+      });
+
+      it('should reject when aborted during a request', async function () {
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        let err = await expect(sendToServer({signal: controller.signal})).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+        expect(err).to.include({code: 'ABORT_ERR', host: '127.0.0.1'});
+      });
+
+      it('should not retry when aborted during retry delay', async function () {
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        let err = await expect(sendToServer({signal: controller.signal, timeout: 50, retry: {maxAttempts: 5, minDelay: 1000, jitter: 0}}))
+          .to.eventually.be.rejectedWith(Hs100Api.AbortError);
+        expect(err.attempts).to.have.lengthOf(1);
+        expect(connectionCount).to.eql(1);
+      });
+
+      it('should remove an aborted request from a persistent connection queue', async function () {
+        let persistentClient = new Client({persistentConnection: true});
+        let controller = new AbortController();
+        let first = persistentClient.send({host: '127.0.0.1', port: server.address().port, payload: '{}', timeout: 200});
+        let second = persistentClient.send({host: '127.0.0.1', port: server.address().port, payload: '{}', timeout: 200, signal: controller.signal});
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(persistentClient.getConnection({host: '127.0.0.1', port: server.address().port}).queueDepth).to.eql(2);
+        controller.abort();
+        await expect(second).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+        expect(persistentClient.getConnection({host: '127.0.0.1', port: server.address().port}).queueDepth).to.eql(1);
+        await expect(first).to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+        persistentClient.closeConnections();
+      });
+
+      it('should reject when aborted during a udp request', function () {
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+        return expect(sendToServer({signal: controller.signal, transport: 'udp'})).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+      });
+    });
   });
 });
@@ -1,5 +1,5 @@
 /* eslint-env mocha */
-/* global testDevices getTestClient */
+/* global testDevices getTestClient AbortController */
 /* eslint no-unused-expressions: ["off"] */
 
 'use strict';
@@ -11,11 +11,16 @@ chai.use(require('chai-as-promised'));
 const rewire = require('rewire');
 
 const Hs100Api = require('../src');
+const FakeDevice = require('../src/testing').FakeDevice;
 const Device = rewire('../src/device');
 const util = require('../src/utils');
 const ResponseError = util.ResponseError;
+const CapabilityError = util.CapabilityError;
+const TimeoutError = util.TimeoutError;
+const dateToTimeFields = require('../src/timezone').dateToTimeFields;
 
 const processResponse = Device.__get__('processResponse');
+const processPartialResponse = Device.__get__('processPartialResponse');
 
 describe('Device', function () {
   let client;
@@ -42,6 +47,29 @@ describe('Device', function () {
             .to.throw(ResponseError).and.to.have.deep.property('response', { err_code: -1, err_msg: 'module not support' });
       });
 
+      it('to throw ResponseError with details for single command', function () {
+        let command = {emeter: {get_realtime: {}}};
+        let response = { emeter: { get_realtime: { err_code: -2, err_msg: 'member not support' } } };
+        expect(() => processResponse(command, response, {host: '127.0.0.1', port: 9999}))
+          .to.throw(ResponseError).and.to.include({errCode: -2, errMsg: 'member not support', module: 'emeter', method: 'get_realtime', host: '127.0.0.1', port: 9999});
+      });
+
+      it('to throw ResponseError with each error for multiple commands', function () {
+        let command = {emeter: {get_realtime: {}}, system: {get_sysinfo: {}}, schedule: {get_next_action: {}}};
+        let response = { emeter: { err_code: -1, err_msg: 'module not support' }, system: { get_sysinfo: { err_code: 0 } }, schedule: { get_next_action: { err_code: -3, err_msg: 'invalid argument' } } };
+        let err;
+        try {
+          processResponse(command, response);
+        } catch (e) {
+          err = e;
+        }
+        expect(err).to.be.an.instanceof(ResponseError);
+        expect(err.response).to.eql([{ err_code: -1, err_msg: 'module not support' }, { err_code: -3, err_msg: 'invalid argument' }]);
+        expect(err.errors).to.have.lengthOf(2);
+        expect(err.errors[0]).to.include({errCode: -1, module: 'emeter'});
+        expect(err.errors[1]).to.include({errCode: -3, module: 'schedule', method: 'get_next_action'});
+      });
+
       it('return fragment for single command system.set_dev_alias', function () {
         let command = {system: {set_dev_alias: {alias: 'New Alias'}}};
         let response = { system: { set_dev_alias: { err_code: 0 } } };
@@ -66,6 +94,43 @@ describe('Device', function () {
         expect(pr.system.get_sysinfo).to.include.keys('err_code', 'sw_ver', 'hw_ver', 'type');
       });
     });
+
+    describe('processPartialResponse', function () {
+      let command = {emeter: {get_realtime: {}}, system: {get_sysinfo: {}, set_led_off: {off: 1}}, schedule: {get_next_action: {}}};
+      let response = {
+        emeter: { err_code: -1, err_msg: 'module not support' },
+        system: { get_sysinfo: { err_code: 0, alias: 'test' }, set_led_off: { err_code: -3, err_msg: 'invalid argument' } }
+      };
+
+      it('return value for successful operations', function () {
+        let pr = processPartialResponse(command, response);
+        expect(pr.system.get_sysinfo).to.eql({supported: true, value: { err_code: 0, alias: 'test' }});
+      });
+
+      it('return unsupported for module errors in unsupportedErrorCodes', function () {
+        let pr = processPartialResponse(command, response, {host: '127.0.0.1'});
+        expect(pr.emeter.get_realtime).to.have.property('supported', false);
+        expect(pr.emeter.get_realtime.error).to.be.an.instanceof(ResponseError)
+          .and.to.include({errCode: -1, module: 'emeter', method: 'get_realtime', host: '127.0.0.1'});
+      });
+
+      it('return error for other err_codes', function () {
+        let pr = processPartialResponse(command, response);
+        expect(pr.system.set_led_off).to.have.property('supported', true);
+        expect(pr.system.set_led_off.error).to.include({errCode: -3, method: 'set_led_off'});
+      });
+
+      it('return error for missing responses', function () {
+        let pr = processPartialResponse(command, response);
+        expect(pr.schedule.get_next_action.error).to.be.an.instanceof(ResponseError);
+      });
+
+      it('respect unsupportedErrorCodes', function () {
+        let pr = processPartialResponse(command, response, {unsupportedErrorCodes: [-3]});
+        expect(pr.emeter.get_realtime).to.have.property('supported', true);
+        expect(pr.system.set_led_off).to.have.property('supported', false);
+      });
+    });
   });
 
   testDevices.forEach((testDevice) => {
@@ -110,6 +175,21 @@ describe('Device', function () {
         it('should return info', function () {
           return expect(device.getSysInfo()).to.eventually.have.property('err_code', 0);
         });
+
+        it('should return info over udp', function () {
+          return expect(device.getSysInfo({transport: 'udp'})).to.eventually.have.property('err_code', 0);
+        });
+
+        it('should return info with device transport option', function () {
+          let udpDevice = client.getGeneralDevice(Object.assign({transport: 'udp'}, options));
+          return expect(udpDevice.getSysInfo()).to.eventually.have.property('err_code', 0);
+        });
+
+        it('should reject when signal is aborted', function () {
+          let controller = new AbortController();
+          controller.abort();
+          return expect(device.getSysInfo({signal: controller.signal})).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+        });
       });
 
       describe('#getModel()', function () {
@@ -156,6 +236,166 @@ describe('Device', function () {
         });
       });
 
+      describe('#getDayStats()', function () {
+        it('should return normalized day stats if supported or throw error', async function () {
+          await device.getSysInfo();
+          let now = new Date();
+          if (device.supportsConsumption) {
+            let stats = await device.getDayStats(now.getFullYear(), now.getMonth() + 1);
+            expect(stats).to.be.an('array');
+            stats.forEach((stat) => {
+              expect(stat.date).to.be.an.instanceof(Date);
+              expect(stat.energyKwh).to.be.a('number');
+            });
+          } else {
+            return expect(device.getDayStats(now.getFullYear(), now.getMonth() + 1)).to.eventually.be.rejectedWith();
+          }
+        });
+      });
+
+      describe('#getMonthStats()', function () {
+        it('should return normalized month stats if supported or throw error', async function () {
+          await device.getSysInfo();
+          if (device.supportsConsumption) {
+            let stats = await device.getMonthStats(new Date().getFullYear());
+            expect(stats).to.be.an('array');
+            stats.forEach((stat) => expect(stat.date.getDate()).to.eql(1));
+          } else {
+            return expect(device.getMonthStats(new Date().getFullYear())).to.eventually.be.rejectedWith();
+          }
+        });
+      });
+
+      describe('#sendCommand()', function () {
+        it('should resolve per operation results with partialResults', async function () {
+          await device.getSysInfo();
+          let results = await device.sendCommand({
+            [device.apiModuleNamespace.system]: {get_sysinfo: {}},
+            [device.apiModuleNamespace.emeter]: {get_realtime: {}}
+          }, {partialResults: true});
+          expect(results[device.apiModuleNamespace.system].get_sysinfo).to.have.nested.property('value.err_code', 0);
+          let emeter = results[device.apiModuleNamespace.emeter].get_realtime;
+          if (device.supportsConsumption) {
+            expect(emeter).to.have.nested.property('value.err_code', 0);
+          } else {
+            expect(emeter).to.have.property('supported', false);
+          }
+        });
+      });
+
+      describe('#batch()', function () {
+        let sendCount;
+        let origSend;
+
+        beforeEach(function () {
+          sendCount = 0;
+          origSend = device.send;
+          device.send = function (...args) {
+            sendCount += 1;
+            return origSend.apply(this, args);
+          };
+        });
+
+        afterEach(function () {
+          device.send = origSend;
+        });
+
+        it('should send several methods in one request', async function () {
+          let [sysInfo, model, rules, time] = await device.batch().getSysInfo().getModel().getScheduleRules().getTime().exec();
+          expect(sendCount).to.eql(1);
+          expect(sysInfo).to.have.property('err_code', 0);
+          expect(model).to.eql(sysInfo.model);
+          expect(rules).to.have.property('rule_list');
+          expect(time).to.have.property('year');
+          expect(device.sysInfo).to.eql(sysInfo);
+        });
+
+        it('should reject if a method fails and still update others', async function () {
+          let sysInfo = await device.getSysInfo();
+          device.sysInfo = Object.assign({}, sysInfo, {alias: 'stale'});
+          // Without emeter, pretend it is supported so the device rejects the command
+          if (!device.supportsConsumption) device.capabilities = device.capabilities.concat('emeter');
+          let batch = device.batch().getSysInfo().getConsumption();
+          if (device.supportsConsumption) {
+            let [, consumption] = await batch.exec();
+            expect(consumption).to.have.property('err_code', 0);
+          } else {
+            await expect(batch.exec()).to.eventually.be.rejectedWith(ResponseError);
+          }
+          expect(device.sysInfo.alias).to.eql(sysInfo.alias);
+        });
+
+        it('should throw CapabilityError when adding an unsupported method', async function () {
+          await device.getSysInfo();
+          if (device.supports('emeter')) return;
+          expect(() => device.batch().getSysInfo().getConsumption()).to.throw(CapabilityError, /does not support emeter/);
+        });
+
+        it('should throw for methods that can not be batched', function () {
+          expect(() => device.batch().add('setAlias', 'x')).to.throw(/can not be batched/);
+        });
+
+        it('should throw when exec is called twice', async function () {
+          let batch = device.batch().getSysInfo();
+          await batch.exec();
+          await expect(batch.exec()).to.eventually.be.rejectedWith(/already executed/);
+        });
+      });
+
+      describe('coalesceWindow', function () {
+        let coalescingDevice;
+        let sendCount;
+
+        beforeEach(function () {
+          coalescingDevice = client.getDeviceFromType(device.type, Object.assign({coalesceWindow: 20}, options));
+          sendCount = 0;
+          let origSend = coalescingDevice.send;
+          coalescingDevice.send = function (...args) {
+            sendCount += 1;
+            return origSend.apply(this, args);
+          };
+        });
+
+        it('should merge reads sent within the window into one request', async function () {
+          let [sysInfo, sysInfo2, rules, time] = await Promise.all([
+            coalescingDevice.getSysInfo(),
+            coalescingDevice.getSysInfo(),
+            coalescingDevice.getScheduleRules(),
+            coalescingDevice.getTime()
+          ]);
+          expect(sendCount).to.eql(1);
+          expect(sysInfo).to.have.property('err_code', 0);
+          expect(sysInfo2).to.eql(sysInfo);
+          expect(rules).to.have.property('rule_list');
+          expect(time).to.have.property('year');
+        });
+
+        it('should reject only the failing read', async function () {
+          await coalescingDevice.getSysInfo();
+          if (!coalescingDevice.supportsConsumption) coalescingDevice.capabilities = coalescingDevice.capabilities.concat('emeter');
+          sendCount = 0;
+          let results = await Promise.all([
+            coalescingDevice.getSysInfo(),
+            coalescingDevice.getConsumption().catch((err) => err)
+          ]);
+          expect(sendCount).to.eql(1);
+          expect(results[0]).to.have.property('err_code', 0);
+          if (coalescingDevice.supportsConsumption) {
+            expect(results[1]).to.have.property('err_code', 0);
+          } else {
+            expect(results[1]).to.be.an.instanceof(ResponseError);
+          }
+        });
+
+        it('should not delay writes or reads with sendOptions', async function () {
+          await Promise.all([
+            coalescingDevice.getSysInfo({timeout: 1000}),
+            coalescingDevice.getSysInfo()
+          ]);
+          expect(sendCount).to.eql(2);
+        });
+      });
+
       describe('#getScheduleNextAction()', function () {
         it('should return schedule next action', function () {
           return expect(device.getScheduleNextAction()).to.eventually.have.property('err_code', 0);
@@ -168,10 +408,52 @@ describe('Device', function () {
         });
       });
 
+      describe('schedule rules', function () {
+        it('should add, edit and delete a schedule rule', async function () {
+          let {id} = await device.addScheduleRule({name: 'added', start: '07:30', daysOfWeek: ['mon', 'fri'], powerState: true});
+          expect(id).to.be.a('string');
+          await device.editScheduleRule({id, name: 'edited', start: {sunset: -15}, daysOfWeek: [0], powerState: false});
+          let rules = await device.getScheduleRules();
+          let rule = rules.rule_list.find((r) => r.id === id);
+          expect(rule).to.include({name: 'edited', stime_opt: 2, soffset: -15, sact: 0});
+          await device.deleteScheduleRule(id);
+          rules = await device.getScheduleRules();
+          expect(rules.rule_list.find((r) => r.id === id)).to.be.undefined;
+        });
+
+        it('should delete all schedule rules', async function () {
+          await device.addScheduleRule({start: '07:30', powerState: true});
+          await device.deleteAllScheduleRules();
+          expect((await device.getScheduleRules()).rule_list).to.be.empty;
+        });
+
+        it('should set overall enable', async function () {
+          await device.setScheduleOverallEnable(false);
+          expect(await device.getScheduleRules()).to.have.property('enable', 0);
+          await device.setScheduleOverallEnable(true);
+          expect(await device.getScheduleRules()).to.have.property('enable', 1);
+        });
+
+        it('should reject an invalid rule without sending', function () {
+          return expect(device.addScheduleRule({start: '25:00', powerState: true})).to.eventually.be.rejectedWith(RangeError);
+        });
+
+        it('should require id to edit', function () {
+          return expect(device.editScheduleRule({start: '07:00', powerState: true})).to.eventually.be.rejectedWith(TypeError);
+        });
+      });
+
       describe('#getTime()', function () {
         it('should return time', function () {
           return expect(device.getTime()).to.eventually.have.property('err_code', 0);
         });
+
+        it('should return time as a Date', async function () {
+          // The simulator reports this host's local time, whatever its timezone index
+          let time = await device.getTime({asDate: true, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone});
+          expect(time).to.be.an.instanceof(Date);
+          expect(Math.abs(time.getTime() - Date.now())).to.be.below(5000);
+        });
       });
 
       describe('#getTimeZone()', function () {
@@ -194,4 +476,363 @@ describe('Device', function () {
       });
     });
   });
+
+  describe('time', function () {
+    let fake;
+    let device;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug'}).start();
+      device = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should set time from a Date', async function () {
+      let date = new Date(2017, 5, 1, 12, 30, 15);
+      await device.setTime(date);
+      expect(Math.abs(fake.state.timeOffset - (date.getTime() - Date.now()))).to.be.below(2000);
+      let time = await device.getTime({asDate: true});
+      expect(Math.abs(time.getTime() - date.getTime())).to.be.below(2000);
+    });
+
+    it('should reject an invalid Date', function () {
+      return expect(device.setTime(new Date('not a date'))).to.eventually.be.rejectedWith(TypeError);
+    });
+
+    it('should get and set time in the device time zone', async function () {
+      fake.state.timezoneIndex = 89; // Asia/Tokyo
+      let time = await device.getTime();
+      let expected = dateToTimeFields(new Date(), 'Asia/Tokyo');
+      expect(Math.abs(Date.UTC(time.year, time.month - 1, time.mday, time.hour, time.min, time.sec) -
+        Date.UTC(expected.year, expected.month - 1, expected.mday, expected.hour, expected.min, expected.sec))).to.be.below(5000);
+      expect(Math.abs((await device.getTime({asDate: true})).getTime() - Date.now())).to.be.below(2000);
+
+      let date = new Date(Date.UTC(2017, 5, 1, 12, 30, 15));
+      await device.setTime(date);
+      expect(fake.requests[fake.requests.length - 1].request.time.set_time).to.eql({year: 2017, month: 6, mday: 1, hour: 21, min: 30, sec: 15});
+      expect(Math.abs((await device.getTime({asDate: true})).getTime() - date.getTime())).to.be.below(2000);
+    });
+
+    it('should get time as a Date in a single request in a batch', async function () {
+      fake.state.timezoneIndex = 89; // Asia/Tokyo
+      let requestCount = fake.requests.length;
+      let [sysInfo, time] = await device.batch().getSysInfo().getTime({asDate: true}).exec();
+      expect(fake.requests).to.have.lengthOf(requestCount + 1);
+      expect(fake.requests[requestCount].request.time).to.eql({get_time: {}, get_timezone: {}});
+      expect(sysInfo).to.have.property('err_code', 0);
+      expect(time).to.be.an.instanceof(Date);
+      expect(Math.abs(time.getTime() - Date.now())).to.be.below(2000);
+    });
+
+    it('should reject asDate for an unknown timezone index', async function () {
+      fake.state.timezoneIndex = 200;
+      await expect(device.getTime({asDate: true})).to.eventually.be.rejectedWith(RangeError);
+      await expect(device.setTime(new Date())).to.eventually.be.rejectedWith(RangeError);
+      expect(fake.requests.filter((r) => r.request.time && r.request.time.set_time)).to.be.empty;
+    });
+
+    it('should set time zone by IANA name', async function () {
+      await device.setTimeZone('Europe/London');
+      expect(await device.getTimeZone()).to.have.property('index', 38);
+      let request = fake.requests[fake.requests.length - 2].request.time.set_timezone;
+      expect(request).to.include.keys('index', 'year', 'month', 'mday', 'hour', 'min', 'sec');
+    });
+
+    it('should reject an unknown time zone', function () {
+      return expect(device.setTimeZone('Mars/Olympus_Mons')).to.eventually.be.rejectedWith(RangeError);
+    });
+  });
+
+  describe('energy statistics', function () {
+    let fake;
+    let device;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug', emeter: true}).start();
+      fake.state.emeter.dayList = [
+        {year: 2017, month: 12, day: 30, energy: 0.5},
+        {year: 2017, month: 12, day: 31, energy: 0.25},
+        {year: 2017, month: 11, day: 2, energy: 1},
+        {year: 2018, month: 1, day: 1, energy: 0.125},
+        {year: 2018, month: 1, day: 2, energy: 2}
+      ];
+      device = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should return day stats as {date, energyKwh}', async function () {
+      expect(await device.getDayStats(2017, 12)).to.eql([
+        {date: new Date(2017, 11, 30), energyKwh: 0.5},
+        {date: new Date(2017, 11, 31), energyKwh: 0.25}
+      ]);
+    });
+
+    it('should return month stats as {date, energyKwh}', async function () {
+      expect(await device.getMonthStats(2017)).to.eql([
+        {date: new Date(2017, 10, 1), energyKwh: 1},
+        {date: new Date(2017, 11, 1), energyKwh: 0.75}
+      ]);
+    });
+
+    it('should convert energy_wh to kWh', async function () {
+      fake.state.emeter.dayList = [{year: 2017, month: 12, day: 1, energy_wh: 1500}];
+      expect(await device.getDayStats(2017, 12)).to.eql([{date: new Date(2017, 11, 1), energyKwh: 1.5}]);
+    });
+
+    it('should stitch day stats across months', async function () {
+      let stats = await device.getDayStatsRange(new Date(2017, 11, 31, 18), new Date(2018, 0, 1));
+      expect(stats).to.eql([
+        {date: new Date(2017, 11, 31), energyKwh: 0.25},
+        {date: new Date(2018, 0, 1), energyKwh: 0.125}
+      ]);
+      let daystatRequests = fake.requests.filter(({request}) => request.emeter && request.emeter.get_daystat);
+      expect(daystatRequests.map(({request}) => request.emeter.get_daystat)).to.eql([{year: 2017, month: 12}, {year: 2018, month: 1}]);
+    });
+
+    it('should reject a range that ends before it starts', function () {
+      return expect(device.getDayStatsRange(new Date(2018, 0, 2), new Date(2018, 0, 1))).to.eventually.be.rejectedWith(RangeError);
+    });
+
+    it('should erase stats', async function () {
+      await device.eraseEmeterStats();
+      expect(fake.state.emeter.dayList).to.be.empty;
+    });
+
+    it('should get and set calibration', async function () {
+      await device.setEmeterCalibration({vgain: 13000, igain: 16000});
+      expect(await device.getEmeterCalibration()).to.include({vgain: 13000, igain: 16000});
+      await expect(device.setEmeterCalibration({vgain: 1.5, igain: 16000})).to.eventually.be.rejectedWith(TypeError);
+    });
+  });
+
+  describe('firmware', function () {
+    this.timeout(5000);
+    this.slow(2000);
+    let fake;
+    let device;
+    let events;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug'}).start();
+      device = await new Hs100Api.Client({timeout: 500}).getDevice({host: fake.address, port: fake.port});
+      events = [];
+      ['firmware-download-progress', 'firmware-flashing', 'firmware-complete', 'firmware-failed'].forEach((eventName) => {
+        device.on(eventName, (d, value) => events.push([eventName, value]));
+      });
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should list firmware', async function () {
+      let list = await device.getFirmwareList();
+      expect(list.fw_list[0]).to.include.keys('fwUrl', 'fwVer');
+    });
+
+    it('should download, flash and verify firmware', async function () {
+      let {fwUrl, fwVer} = fake.state.firmware.list[0];
+      let previousSwVer = fake.state.sysInfo.sw_ver;
+      let result = await device.upgradeFirmware(fwUrl, {pollInterval: 50});
+      expect(result).to.eql({previousSwVer, swVer: fwVer});
+      expect(device.sysInfo.sw_ver).to.eql(fwVer);
+      expect(fake.state.rebootCount).to.eql(1);
+      expect(events).to.eql([
+        ['firmware-download-progress', {ratio: 50, status: 1}],
+        ['firmware-download-progress', {ratio: 100, status: 2}],
+        ['firmware-flashing', undefined],
+        ['firmware-complete', result]
+      ]);
+    });
+
+    it('should fail when sw_ver is not the expected version', async function () {
+      let {fwUrl} = fake.state.firmware.list[0];
+      await expect(device.upgradeFirmware(fwUrl, {swVer: '9.9.9', pollInterval: 50, rebootTimeout: 500}))
+        .to.eventually.be.rejectedWith(TimeoutError, /sw_ver is 1.2.6/);
+      expect(events[events.length - 1][0]).to.eql('firmware-failed');
+    });
+
+    it('should fail when the device does not come back online', async function () {
+      fake.state.firmware.rebootTime = 5000;
+      let {fwUrl} = fake.state.firmware.list[0];
+      await expect(device.upgradeFirmware(fwUrl, {pollInterval: 50, rebootTimeout: 300}))
+        .to.eventually.be.rejectedWith(TimeoutError, /did not come back online/);
+    });
+
+    it('should fail with TimeoutError when the download does not complete', async function () {
+      fake.state.firmware.downloadStep = 0;
+      let {fwUrl} = fake.state.firmware.list[0];
+      let err = await device.upgradeFirmware(fwUrl, {pollInterval: 50, downloadTimeout: 200}).catch((e) => e);
+      expect(err).to.be.an.instanceof(TimeoutError);
+      expect(err).to.include({timeout: 200, host: fake.address, port: fake.port});
+      expect(err.message).to.match(/download did not complete within 200ms/);
+    });
+
+    it('should fail as soon as the download state reports a failure', async function () {
+      fake.state.firmware.downloadFails = true;
+      let {fwUrl} = fake.state.firmware.list[0];
+      let err = await device.upgradeFirmware(fwUrl, {pollInterval: 50}).catch((e) => e);
+      expect(err).to.be.an.instanceof(ResponseError);
+      expect(err.message).to.match(/download failed/);
+      expect(events).to.eql([['firmware-failed', err]]);
+      expect(fake.requests.filter(({request}) => request.system.get_download_state)).to.have.lengthOf(1);
+      expect(fake.requests.filter(({request}) => request.system.flash_firmware)).to.be.empty;
+    });
+
+    it('should fail when the download fails', async function () {
+      fake.failMethod('system', 'download_firmware', -7, 'download failed');
+      let err = await expect(device.upgradeFirmware('http://example.com/fw.bin', {pollInterval: 50})).to.eventually.be.rejectedWith(ResponseError);
+      expect(events).to.eql([['firmware-failed', err]]);
+    });
+  });
+
+  describe('capabilities', function () {
+    let fake = null;
+    let device;
+
+    afterEach(async function () {
+      if (fake) await fake.stop();
+      fake = null;
+    });
+
+    let start = async function (options) {
+      fake = await new FakeDevice(options).start();
+      device = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    };
+
+    it('should report capabilities and model info from sysInfo', async function () {
+      await start({type: 'plug', emeter: true});
+      expect(device.supports('emeter')).to.be.true;
+      expect(device.supports('led')).to.be.true;
+      expect(device.supports('color')).to.be.false;
+      expect(device.supports('nonsense')).to.be.false;
+      expect(device.modelInfo).to.include({model: 'HS110', friendlyName: 'Smart Wi-Fi Plug with Energy Monitoring'});
+    });
+
+    it('should report nothing until sysInfo is known', function () {
+      device = new Hs100Api.Client().getPlug({host: '127.0.0.1'});
+      expect(device.supports('timer')).to.be.false;
+      expect(device.capabilities).to.be.null;
+      expect(device.modelInfo).to.be.null;
+    });
+
+    it('should reject unsupported methods without sending', async function () {
+      await start({type: 'plug'});
+      let requestCount = fake.requests.length;
+      let err = await device.getConsumption().catch((e) => e);
+      expect(err).to.be.an.instanceof(CapabilityError);
+      expect(err).to.include({capability: 'emeter', method: 'device.getConsumption', model: 'HS100(US)'});
+      expect(err.message).to.eql('device.getConsumption: HS100(US) does not support emeter');
+      await expect(device.getDayStats(2018, 1)).to.eventually.be.rejectedWith(CapabilityError);
+      await expect(device.eraseEmeterStats()).to.eventually.be.rejectedWith(CapabilityError);
+      expect(fake.requests).to.have.lengthOf(requestCount);
+    });
+
+    it('should reject plug methods needing led or timer', async function () {
+      await start({type: 'plug', sysInfo: {feature: '', led_off: undefined}});
+      await expect(device.setLedState(false)).to.eventually.be.rejectedWith(CapabilityError, /led/);
+      await expect(device.turnOffIn(1000)).to.eventually.be.rejectedWith(CapabilityError, /timer/);
+      await expect(device.deleteTimerRule('1')).to.eventually.be.rejectedWith(CapabilityError, /plug.deleteTimerRule/);
+      await expect(device.deleteAllTimerRules()).to.eventually.be.rejectedWith(CapabilityError, /plug.deleteAllTimerRules/);
+      expect(fake.requests.filter(({request}) => request.count_down)).to.be.empty;
+    });
+
+    it('should reject light states the bulb does not support', async function () {
+      await start({type: 'bulb', model: 'LB100(US)', sysInfo: {is_color: 0, is_variable_color_temp: 0}});
+      await expect(device.setLightState({hue: 120, saturation: 50})).to.eventually.be.rejectedWith(CapabilityError, /color/);
+      await expect(device.setLightState({color_temp: 4000})).to.eventually.be.rejectedWith(CapabilityError, /colorTemp/);
+      expect(await device.setLightState({brightness: 50})).to.be.true;
+    });
+
+    it('should reject color temperatures outside the model range', async function () {
+      await start({type: 'bulb', model: 'LB120(US)'});
+      await expect(device.setLightState({color_temp: 9000})).to.eventually.be.rejectedWith(RangeError, /2700 to 6500/);
+      expect(await device.setLightState({color_temp: 6500})).to.be.true;
+    });
+  });
+
+  describe('wifi', function () {
+    let fake;
+    let device;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug'}).start();
+      device = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should return structured scan results, strongest first', async function () {
+      fake.state.scanList.push({ssid: 'no-rssi', key_type: 1}, {ssid: 'odd', key_type: 9, rssi: -80});
+      expect(await device.scanNetworks({timeoutInSeconds: 1})).to.eql([
+        {ssid: 'fake-open-network', rssi: -45, keyType: 0, security: 'open'},
+        {ssid: 'fake-network', rssi: -60, keyType: 3, security: 'wpa2'},
+        {ssid: 'odd', rssi: -80, keyType: 9, security: 'unknown'},
+        {ssid: 'no-rssi', rssi: null, keyType: 1, security: 'wep'}
+      ]);
+    });
+
+    it('should join a network', async function () {
+      await device.joinNetwork({ssid: 'home', password: 'secret', keyType: 'WPA'});
+      expect(fake.state.network).to.eql({ssid: 'home', password: 'secret', keyType: 2});
+      await device.joinNetwork({ssid: 'guest', keyType: 0});
+      expect(fake.state.network).to.eql({ssid: 'guest', password: '', keyType: 0});
+    });
+
+    it('should reject invalid networks without sending', async function () {
+      let requestCount = fake.requests.length;
+      await expect(device.joinNetwork({password: 'secret'})).to.eventually.be.rejectedWith(TypeError, /ssid/);
+      await expect(device.joinNetwork({ssid: 'home'})).to.eventually.be.rejectedWith(TypeError, /password/);
+      await expect(device.joinNetwork({ssid: 'home', password: 'secret', keyType: 'wpa3'})).to.eventually.be.rejectedWith(RangeError);
+      await expect(device.joinNetwork({ssid: 'home', password: 'secret', keyType: 4})).to.eventually.be.rejectedWith(RangeError);
+      expect(fake.requests).to.have.lengthOf(requestCount);
+    });
+  });
+
+  describe('polling', function () {
+    let fake;
+    let device;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug'}).start();
+      fake.state.sysInfo.type = 'IOT.SMARTTHING';
+      device = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    });
+
+    afterEach(function () {
+      device.stopPolling();
+      return fake.stop();
+    });
+
+    it('should poll a generic device with #getInfo()', async function () {
+      expect(device.type).to.eql('device');
+      expect(await device.getInfo()).to.have.nested.property('sysInfo.type', 'IOT.SMARTTHING');
+      fake.state.sysInfo.alias = 'polled';
+      device.startPolling(20);
+      while (device.name !== 'polled') await new Promise((resolve) => setTimeout(resolve, 10));
+    });
+
+    it('should emit polling-error and keep polling when a poll fails', async function () {
+      device.getInfo = () => Promise.reject(new Error('offline'));
+      let failures = new Promise((resolve) => {
+        let count = 0;
+        device.on('polling-error', (emitter, err) => {
+          expect(emitter).to.equal(device);
+          expect(err).to.have.property('message', 'offline');
+          count += 1;
+          if (count === 2) resolve();
+        });
+      });
+      device.startPolling(10);
+      await failures;
+    });
+  });
 });
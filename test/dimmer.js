@@ -0,0 +1,97 @@
+/* eslint-env mocha */
+/* global useFakeDevice */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const Plug = require('../src/plug.js');
+const Dimmer = require('../src/dimmer.js');
+
+describe('Dimmer', function () {
+  this.timeout(5000);
+  this.slow(1000);
+
+  let client;
+  let fake;
+  let dimmer;
+
+  useFakeDevice({type: 'dimmer'}, (setup) => { ({client, fake, device: dimmer} = setup); });
+
+  it('should be created as a Dimmer for HS220', function () {
+    expect(dimmer).to.be.an.instanceof(Dimmer);
+    expect(dimmer).to.be.an.instanceof(Plug);
+    expect(dimmer.type).to.eql('plug');
+    expect(dimmer.brightness).to.eql(100);
+  });
+
+  it('should be created from type name', function () {
+    expect(client.getDeviceFromType('dimmer', {host: fake.address, port: fake.port})).to.be.an.instanceof(Dimmer);
+  });
+
+  describe('#setBrightness()', function () {
+    it('should set brightness', async function () {
+      await dimmer.setBrightness(30);
+      expect(fake.state.sysInfo.brightness).to.eql(30);
+      expect(dimmer.brightness).to.eql(30);
+      expect(await dimmer.getBrightness()).to.eql(30);
+    });
+
+    it('should reject invalid brightness without sending', async function () {
+      let requestCount = fake.requests.length;
+      await expect(dimmer.setBrightness(101)).to.eventually.be.rejectedWith(RangeError);
+      await expect(dimmer.setBrightness(-1)).to.eventually.be.rejectedWith(RangeError);
+      await expect(dimmer.setBrightness(50.5)).to.eventually.be.rejectedWith(RangeError);
+      expect(fake.requests).to.have.lengthOf(requestCount);
+    });
+  });
+
+  describe('dimmer parameters', function () {
+    it('should set fade and gentle times', async function () {
+      await dimmer.setFadeOnTime(500);
+      await dimmer.setFadeOffTime(1500);
+      await dimmer.setGentleOnTime(2000);
+      await dimmer.setGentleOffTime(60000);
+      expect(await dimmer.getDimmerParameters()).to.include({fadeOnTime: 500, fadeOffTime: 1500, gentleOnTime: 2000, gentleOffTime: 60000});
+    });
+
+    it('should reject invalid times', function () {
+      return expect(dimmer.setFadeOnTime(-1)).to.eventually.be.rejectedWith(RangeError);
+    });
+  });
+
+  describe('events', function () {
+    it('should emit brightness-change as well as plug events', async function () {
+      let events = [];
+      dimmer.on('brightness-change', (d, brightness) => events.push(['brightness-change', brightness]));
+      dimmer.on('power-on', () => events.push(['power-on']));
+
+      await dimmer.getSysInfo();
+      expect(events).to.eql([['brightness-change', 100]]);
+
+      events = [];
+      fake.state.sysInfo.brightness = 40;
+      fake.state.sysInfo.relay_state = 1;
+      await dimmer.getSysInfo();
+      expect(events).to.eql([['power-on'], ['brightness-change', 40]]);
+
+      events = [];
+      await dimmer.getSysInfo();
+      await dimmer.setBrightness(40);
+      expect(events).to.be.empty;
+
+      await dimmer.setBrightness(10);
+      expect(events).to.eql([['brightness-change', 10]]);
+    });
+  });
+
+  it('should batch brightness with other reads', async function () {
+    fake.state.sysInfo.brightness = 25;
+    let [brightness, parameters] = await dimmer.batch().getBrightness().getDimmerParameters().exec();
+    expect(brightness).to.eql(25);
+    expect(parameters).to.have.property('fadeOnTime');
+  });
+});
@@ -0,0 +1,183 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const Hs100Api = require('../src');
+const Client = Hs100Api.Client;
+const FakeDevice = require('../src/testing').FakeDevice;
+const Plug = require('../src/plug.js');
+const Bulb = require('../src/bulb.js');
+
+describe('FakeDevice', function () {
+  this.timeout(5000);
+  this.slow(1000);
+
+  let client;
+  let fake;
+
+  beforeEach(function () {
+    client = new Client({timeout: 1000});
+  });
+
+  afterEach(function () {
+    client.stopDiscovery();
+    if (fake) return fake.stop();
+  });
+
+  describe('plug', function () {
+    let plug;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug', emeter: true}).start();
+      plug = await client.getDevice({host: fake.address, port: fake.port});
+    });
+
+    it('should be created as a Plug with consumption', function () {
+      expect(plug).to.be.an.instanceof(Plug);
+      expect(plug.model).to.eql('HS110(US)');
+      expect(plug.supportsConsumption).to.be.true;
+    });
+
+    it('should change power state', async function () {
+      await plug.setPowerState(true);
+      expect(fake.state.sysInfo.relay_state).to.eql(1);
+      expect(await plug.getPowerState()).to.be.true;
+    });
+
+    it('should answer over udp', async function () {
+      fake.state.sysInfo.alias = 'over udp';
+      expect(await plug.getSysInfo({transport: 'udp'})).to.have.property('alias', 'over udp');
+      expect(fake.requests[fake.requests.length - 1]).to.have.property('transport', 'udp');
+    });
+
+    it('should answer from fake.state after it is replaced', async function () {
+      let state = JSON.parse(JSON.stringify(fake.state));
+      state.sysInfo.alias = 'replaced';
+      fake.state = state;
+      expect(await plug.getSysInfo()).to.have.property('alias', 'replaced');
+      await plug.setPowerState(true);
+      expect(state.sysInfo.relay_state).to.eql(1);
+    });
+
+    it('should add, edit and delete schedule rules', async function () {
+      let {id} = await plug.sendCommand({schedule: {add_rule: {name: 'rule', enable: 1, sact: 1}}});
+      await plug.sendCommand({schedule: {edit_rule: {id, name: 'edited', enable: 1, sact: 0}}});
+      let rules = await plug.getScheduleRules();
+      expect(rules.rule_list).to.have.lengthOf(1);
+      expect(rules.rule_list[0]).to.include({id, name: 'edited'});
+      await plug.sendCommand({schedule: {delete_rule: {id}}});
+      expect(fake.state.schedule.rule_list).to.be.empty;
+      await expect(plug.sendCommand({schedule: {delete_rule: {id}}})).to.eventually.be.rejectedWith(Hs100Api.ResponseError, /entry not exist/);
+    });
+
+    it('should allow one count_down rule', async function () {
+      await plug.sendCommand({count_down: {add_rule: {enable: 1, delay: 60, act: 1}}});
+      await expect(plug.sendCommand({count_down: {add_rule: {enable: 1, delay: 60, act: 1}}})).to.eventually.be.rejectedWith(Hs100Api.ResponseError);
+    });
+
+    it('should respond to emeter stats from state', async function () {
+      fake.state.emeter.dayList = [{year: 2017, month: 1, day: 1, energy: 0.5}, {year: 2017, month: 1, day: 2, energy: 0.25}];
+      let response = await plug.sendCommand({emeter: {get_monthstat: {year: 2017}}});
+      expect(response.month_list).to.eql([{year: 2017, month: 1, energy: 0.75}]);
+    });
+
+    it('should respond with err_code for unknown modules and methods', async function () {
+      let results = await plug.sendCommand({'smartlife.iot.common.cloud': {get_info: {}}, system: {get_nothing: {}}}, {partialResults: true});
+      expect(results['smartlife.iot.common.cloud'].get_info.error).to.have.property('errCode', -1);
+      expect(results.system.get_nothing.error).to.have.property('errCode', -2);
+    });
+
+    context('faults', function () {
+      it('should fail methods with err_code', async function () {
+        fake.failMethod('system', 'set_relay_state', -3, 'invalid argument');
+        let err = await expect(plug.setPowerState(true)).to.eventually.be.rejectedWith(Hs100Api.ResponseError);
+        expect(err).to.include({errCode: -3, module: 'system', method: 'set_relay_state'});
+        fake.clearFailures();
+        await plug.setPowerState(true);
+      });
+
+      it('should delay responses by latency', async function () {
+        fake.latency = 200;
+        await expect(plug.getSysInfo({timeout: 100})).to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+        fake.latency = () => 0;
+        await plug.getSysInfo({timeout: 100});
+      });
+
+      it('should drop connections', async function () {
+        fake.dropNext();
+        await expect(plug.getSysInfo()).to.eventually.be.rejectedWith(Hs100Api.ConnectionError);
+        await plug.getSysInfo();
+      });
+
+      it('should send truncated frames', function () {
+        fake.malformNext(1, 'truncated');
+        return expect(plug.getSysInfo()).to.eventually.be.rejectedWith(Hs100Api.ProtocolError, /truncated/);
+      });
+
+      it('should send invalid json', function () {
+        fake.malformNext(1, 'invalid-json');
+        return expect(plug.getSysInfo()).to.eventually.be.rejectedWith(Hs100Api.ParseError);
+      });
+
+      it('should send oversized frames', function () {
+        fake.malformNext(1, 'oversized');
+        return expect(plug.getSysInfo()).to.eventually.be.rejectedWith(Hs100Api.ProtocolError, /maxResponseSize/);
+      });
+    });
+  });
+
+  describe('bulb', function () {
+    let bulb;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'bulb'}).start();
+      bulb = await client.getDevice({host: fake.address, port: fake.port});
+    });
+
+    it('should be created as a Bulb', function () {
+      expect(bulb).to.be.an.instanceof(Bulb);
+    });
+
+    it('should change light state', async function () {
+      await bulb.setLightState({on_off: 1, brightness: 20, hue: 120});
+      expect(fake.state.sysInfo.light_state).to.include({on_off: 1, brightness: 20, hue: 120});
+      await bulb.setPowerState(false);
+      expect(await bulb.getPowerState()).to.be.false;
+    });
+
+    it('should respond to smartlife.iot.common modules', async function () {
+      await bulb.setAlias('renamed');
+      expect(fake.state.sysInfo.alias).to.eql('renamed');
+      expect(await bulb.getConsumption()).to.have.property('power_mw');
+      expect(await bulb.getTime()).to.have.property('year');
+    });
+  });
+
+  describe('dimmer', function () {
+    it('should set brightness', async function () {
+      fake = await new FakeDevice({type: 'dimmer'}).start();
+      let device = client.getGeneralDevice({host: fake.address, port: fake.port});
+      await device.sendCommand({'smartlife.iot.dimmer': {set_brightness: {brightness: 30}}});
+      expect(fake.state.sysInfo.brightness).to.eql(30);
+    });
+  });
+
+  describe('discovery', function () {
+    it('should be discovered', function (done) {
+      new FakeDevice({type: 'bulb'}).start().then((f) => {
+        fake = f;
+        client.on('bulb-new', (bulb) => {
+          expect(bulb.deviceId).to.eql(fake.state.sysInfo.deviceId);
+          expect(bulb.port).to.eql(fake.port);
+          done();
+        });
+        client.startDiscovery({broadcast: '127.255.255.255', devices: [{host: fake.address, port: fake.port}], discoveryInterval: 100});
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/* eslint-env mocha */
+/* global useFakeDevice */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const Bulb = require('../src/bulb.js');
+const LightStrip = require('../src/light-strip.js');
+
+describe('LightStrip', function () {
+  this.timeout(5000);
+  this.slow(1000);
+
+  let client;
+  let fake;
+  let strip;
+
+  useFakeDevice({type: 'lightstrip'}, (setup) => { ({client, fake, device: strip} = setup); });
+
+  it('should be created as a LightStrip for KL430', function () {
+    expect(strip).to.be.an.instanceof(LightStrip);
+    expect(strip).to.be.an.instanceof(Bulb);
+    expect(strip.type).to.eql('bulb');
+    expect(strip.length).to.eql(16);
+  });
+
+  it('should be created from model when sysInfo has no length', function () {
+    expect(client.getDeviceFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'KL400L5(US)'})).to.be.an.instanceof(LightStrip);
+    expect(client.getDeviceFromSysInfo({mic_type: 'IOT.SMARTBULB', model: 'LB130(US)'})).to.not.be.an.instanceof(LightStrip);
+    expect(client.getDeviceFromType('lightstrip')).to.be.an.instanceof(LightStrip);
+  });
+
+  describe('#setSegmentColors()', function () {
+    it('should set colors of ranges and single segments', async function () {
+      await strip.setSegmentColors([
+        {start: 0, end: 7, hue: 120, saturation: 100, brightness: 50},
+        {start: 15, hue: 0, saturation: 0, brightness: 100, color_temp: 2700}
+      ]);
+      expect(fake.state.segments[0]).to.eql({hue: 120, saturation: 100, brightness: 50, color_temp: 0});
+      expect(fake.state.segments[7]).to.eql(fake.state.segments[0]);
+      expect(fake.state.segments[8]).to.be.undefined;
+      expect(fake.state.segments[15]).to.eql({hue: 0, saturation: 0, brightness: 100, color_temp: 2700});
+    });
+
+    it('should reject invalid segments without sending', async function () {
+      let requestCount = fake.requests.length;
+      await expect(strip.setSegmentColors([])).to.eventually.be.rejectedWith(TypeError);
+      await expect(strip.setSegmentColors([{start: 0, end: 16, hue: 0, saturation: 0, brightness: 0}])).to.eventually.be.rejectedWith(RangeError);
+      await expect(strip.setSegmentColors([{start: 4, end: 2, hue: 0, saturation: 0, brightness: 0}])).to.eventually.be.rejectedWith(RangeError);
+      await expect(strip.setSegmentColors([{start: 0, hue: 361, saturation: 0, brightness: 0}])).to.eventually.be.rejectedWith(RangeError);
+      expect(fake.requests).to.have.lengthOf(requestCount);
+    });
+  });
+
+  describe('effects', function () {
+    it('should list built in effects', function () {
+      expect(strip.listEffects()).to.include.members(['Aurora', 'Rainbow']);
+    });
+
+    it('should apply a built in effect by name', async function () {
+      expect(await strip.getEffect()).to.be.null;
+      await strip.setEffect('rainbow');
+      expect(fake.state.lightingEffect).to.include({name: 'Rainbow', enable: 1, custom: 0});
+      expect(fake.state.lightingEffect.sequence).to.be.an('array').that.is.not.empty;
+      expect(await strip.getEffect()).to.include({name: 'Rainbow', custom: 0});
+    });
+
+    it('should define and apply a custom effect', async function () {
+      let definition = strip.defineEffect({name: 'Police', sequence: [[0, 100, 100], [240, 100, 100]], transition: 200});
+      expect(definition).to.include({name: 'Police', custom: 1, type: 'sequence', transition: 200});
+      expect(strip.listEffects()).to.include('Police');
+
+      await strip.setEffect('Police');
+      expect(fake.state.lightingEffect).to.include({name: 'Police', id: definition.id, custom: 1});
+      expect(await strip.getEffect()).to.eql({name: 'Police', id: definition.id, custom: 1, brightness: 100});
+    });
+
+    it('should reject invalid custom effects', function () {
+      expect(() => strip.defineEffect({})).to.throw(TypeError);
+      expect(() => strip.defineEffect({name: 'x'})).to.throw(TypeError);
+      expect(() => strip.defineEffect({name: 'x', type: 'pulse'})).to.throw(RangeError);
+      expect(() => strip.defineEffect({name: 'x', type: 'random', brightness: 101})).to.throw(RangeError);
+    });
+
+    it('should reject unknown effect names', function () {
+      return expect(strip.setEffect('Nope')).to.eventually.be.rejectedWith(RangeError);
+    });
+
+    it('should report no effect after the light state is set', async function () {
+      await strip.setEffect('Aurora');
+      await strip.setLightState({on_off: 1, hue: 10, saturation: 10});
+      expect(await strip.getEffect()).to.be.null;
+    });
+
+    it('should batch getEffect with other reads', async function () {
+      await strip.setEffect('Ocean');
+      let [effect, lightState] = await strip.batch().getEffect().getLightState().exec();
+      expect(effect).to.include({name: 'Ocean'});
+      expect(lightState).to.have.property('on_off', 1);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 /* eslint-env mocha */
-/* global testDevices */
+/* global testDevices AbortController */
 /* eslint no-unused-expressions: ["off"] */
 
 'use strict';
@@ -8,6 +8,9 @@ const chai = require('chai');
 const expect = chai.expect;
 chai.use(require('chai-as-promised'));
 
+const Hs100Api = require('../src');
+const FakeDevice = require('../src/testing').FakeDevice;
+
 describe('Plug', function () {
   before(function () {
     this.timeout(4000);
@@ -60,6 +63,18 @@ describe('Plug', function () {
         });
       });
 
+      describe('#batch()', function () {
+        it('should emit events from batched methods', async function () {
+          await plug.setPowerState(false);
+          let emitted = new Promise((resolve) => plug.once('power-on', resolve));
+          await plug.sendCommand('{"system":{"set_relay_state":{"state":1}}}');
+          let [powerState, ledState] = await plug.batch().getPowerState().getLedState().exec();
+          expect(powerState).to.be.true;
+          expect(ledState).to.be.a('boolean');
+          return emitted;
+        });
+      });
+
       describe('#getPowerState()', function () {
         this.timeout(2000);
         this.slow(1000);
@@ -80,12 +95,79 @@ describe('Plug', function () {
         });
       });
 
+      describe('away rules', function () {
+        afterEach(function () {
+          return plug.deleteAllAwayRules();
+        });
+
+        it('should add, edit and delete an away rule', async function () {
+          let {id} = await plug.addAwayRule({name: 'added', start: '18:00', end: '22:00', daysOfWeek: [0, 6]});
+          await plug.editAwayRule({id, name: 'edited', start: {sunset: 0}, end: '23:00', daysOfWeek: [5], frequency: 2});
+          let rules = await plug.getAwayRules();
+          let rule = rules.rule_list.find((r) => r.id === id);
+          expect(rule).to.include({name: 'edited', stime_opt: 2, emin: 1380, frequency: 2});
+          await plug.deleteAwayRule(id);
+          expect((await plug.getAwayRules()).rule_list.find((r) => r.id === id)).to.be.undefined;
+        });
+
+        it('should enable and disable away mode', async function () {
+          await plug.setAwayOverallEnable(false);
+          expect(await plug.getAwayRules()).to.have.property('enable', 0);
+          await plug.setAwayOverallEnable(true);
+          expect(await plug.getAwayRules()).to.have.property('enable', 1);
+        });
+
+        it('should reject an invalid rule', async function () {
+          await expect(plug.addAwayRule({start: '18:00', end: '17:00', daysOfWeek: [1]})).to.eventually.be.rejectedWith(RangeError);
+          await expect(plug.editAwayRule({start: '18:00', end: '19:00', daysOfWeek: [1]})).to.eventually.be.rejectedWith(TypeError);
+        });
+      });
+
       describe('#getTimerRules()', function () {
         it('should return timer rules', function () {
           return expect(plug.getTimerRules()).to.eventually.have.property('err_code', 0);
         });
       });
 
+      describe('timer rules', function () {
+        afterEach(function () {
+          return plug.deleteAllTimerRules();
+        });
+
+        it('should add, edit and delete a timer rule', async function () {
+          let {id} = await plug.addTimerRule({delaySeconds: 60, powerState: true, name: 'added'});
+          expect(plug.activeTimer).to.include({id, powerState: true, delaySeconds: 60});
+          await plug.editTimerRule({id, delaySeconds: 120, powerState: false, name: 'edited'});
+          let rules = await plug.getTimerRules();
+          expect(rules.rule_list).to.have.lengthOf(1);
+          expect(rules.rule_list[0]).to.include({id, delay: 120, act: 0, name: 'edited'});
+          await plug.deleteTimerRule(id);
+          expect(plug.activeTimer).to.be.null;
+          expect((await plug.getTimerRules()).rule_list).to.be.empty;
+        });
+
+        it('should replace an existing timer rule', async function () {
+          await plug.addTimerRule({delaySeconds: 60, powerState: true});
+          let {id} = await plug.turnOffIn(30000);
+          let rules = await plug.getTimerRules();
+          expect(rules.rule_list).to.have.lengthOf(1);
+          expect(rules.rule_list[0]).to.include({id, delay: 30, act: 0});
+        });
+
+        it('should reject when a rule exists and deleteExisting is false', async function () {
+          await plug.turnOnIn(60000);
+          await expect(plug.addTimerRule({delaySeconds: 60, powerState: true, deleteExisting: false}))
+            .to.eventually.be.rejectedWith(Hs100Api.ResponseError);
+        });
+
+        it('should reject invalid options', async function () {
+          await expect(plug.addTimerRule({delaySeconds: 1.5, powerState: true})).to.eventually.be.rejectedWith(TypeError);
+          await expect(plug.addTimerRule({delaySeconds: 0, powerState: true})).to.eventually.be.rejectedWith(RangeError);
+          await expect(plug.addTimerRule({delaySeconds: 10})).to.eventually.be.rejectedWith(TypeError);
+          await expect(plug.editTimerRule({delaySeconds: 10, powerState: true})).to.eventually.be.rejectedWith(TypeError);
+        });
+      });
+
       describe('#setLedState()', function () {
         it('should turn LED off', function () {
           return expect(plug.setLedState(false)).to.eventually.be.true;
@@ -114,13 +196,113 @@ describe('Plug', function () {
         it('should blink LED', function () {
           return expect(plug.blink(2, 100)).to.eventually.be.true;
         });
+
+        it('should restore LED state when aborted', async function () {
+          let origLedState = await plug.getLedState();
+          let controller = new AbortController();
+          setTimeout(() => controller.abort(), 150);
+          await expect(plug.blink(10, 100, {signal: controller.signal})).to.eventually.be.rejectedWith(Hs100Api.AbortError);
+          expect(await plug.getLedState()).to.eql(origLedState);
+        });
       });
 
       describe('#getInfo()', function () {
         it('should return info', function () {
           return expect(plug.getInfo()).to.eventually.have.property('sysInfo');
         });
+
+        it('should return consumption only if supported', async function () {
+          let info = await plug.getInfo();
+          if (plug.supportsConsumption) {
+            expect(info.consumption).to.have.property('err_code', 0);
+          } else {
+            expect(info.consumption).to.be.undefined;
+          }
+        });
       });
     });
   });
+
+  describe('consumption units', function () {
+    let fake;
+    let plug;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug', emeter: true}).start();
+      plug = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port, inUseThreshold: 5});
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should add milli units to v1 readings', async function () {
+      fake.state.emeter.realtime = {voltage: 120.2, current: 0.05, power: 5.3, total: 0.12};
+      expect(await plug.getConsumption()).to.include({power: 5.3, power_mw: 5300, voltage_mv: 120200, current_ma: 50, total_wh: 120});
+    });
+
+    it('should add base units to v2 readings and use them for inUse', async function () {
+      let updates = [];
+      plug.on('consumption-update', (p, consumption) => updates.push(consumption));
+      fake.state.emeter.realtime = {voltage_mv: 120200, current_ma: 50, power_mw: 5300, total_wh: 120};
+
+      await plug.getConsumption();
+      expect(plug.consumption).to.include({power: 5.3, voltage: 120.2, current: 0.05, total: 0.12, power_mw: 5300});
+      expect(plug.inUse).to.be.true;
+      expect(updates[updates.length - 1]).to.include({power: 5.3});
+
+      fake.state.emeter.realtime = {power_mw: 4000};
+      expect(await plug.getInUse()).to.be.false;
+      await plug.getInfo();
+      expect(plug.consumption).to.include({power: 4, power_mw: 4000});
+      expect(plug.consumption).to.not.have.property('voltage');
+    });
+  });
+
+  describe('timer-elapsed', function () {
+    this.timeout(5000);
+    this.slow(3000);
+    let fake;
+    let plug;
+
+    beforeEach(async function () {
+      fake = await new FakeDevice({type: 'plug'}).start();
+      plug = await new Hs100Api.Client().getDevice({host: fake.address, port: fake.port});
+    });
+
+    afterEach(function () {
+      return fake.stop();
+    });
+
+    it('should emit when the relay flips as the timer ends', async function () {
+      let elapsed = [];
+      plug.on('timer-elapsed', (p, timer) => elapsed.push(timer));
+      await plug.setPowerState(false);
+      let {id} = await plug.turnOnIn(2000);
+
+      fake.state.sysInfo.relay_state = 1;
+      await plug.getSysInfo();
+      expect(elapsed, 'before timer ends').to.be.empty;
+
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+      fake.state.sysInfo.relay_state = 0;
+      await plug.getSysInfo();
+      fake.state.sysInfo.relay_state = 1;
+      await plug.getSysInfo();
+      expect(elapsed).to.have.lengthOf(1);
+      expect(elapsed[0]).to.include({id, powerState: true});
+      expect(plug.activeTimer).to.be.null;
+    });
+
+    it('should not emit when the relay was already in the timer state', async function () {
+      let elapsed = [];
+      plug.on('timer-elapsed', (p, timer) => elapsed.push(timer));
+      await plug.setPowerState(true);
+      await plug.turnOnIn(1000);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      await plug.getSysInfo();
+      expect(elapsed).to.be.empty;
+      expect(plug.activeTimer).to.be.null;
+    });
+  });
 });
@@ -0,0 +1,204 @@
+/* eslint-env mocha */
+/* global useFakeDevice */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const Hs100Api = require('../src');
+const CapabilityError = Hs100Api.CapabilityError;
+const FakeDevice = require('../src/testing').FakeDevice;
+const Plug = require('../src/plug.js');
+const PowerStrip = require('../src/power-strip.js');
+const Outlet = require('../src/outlet.js');
+
+describe('PowerStrip', function () {
+  this.timeout(5000);
+  this.slow(1000);
+
+  let client;
+  let fake;
+  let strip;
+
+  useFakeDevice({type: 'strip'}, (setup) => { ({client, fake, device: strip} = setup); });
+
+  it('should be created as a PowerStrip with an Outlet for each child', function () {
+    expect(strip).to.be.an.instanceof(PowerStrip);
+    expect(strip.type).to.eql('powerstrip');
+    expect(strip.outlets).to.have.lengthOf(6);
+    strip.outlets.forEach((outlet, i) => {
+      expect(outlet).to.be.an.instanceof(Outlet);
+      expect(outlet).to.be.an.instanceof(Plug);
+      expect(outlet.type).to.eql('plug');
+      expect(outlet.childId).to.eql(fake.state.sysInfo.children[i].id);
+      expect(outlet.deviceId).to.eql(outlet.childId);
+      expect(outlet.name).to.eql(`Fake Outlet ${i + 1}`);
+      expect(outlet.sysInfo).to.include({relay_state: 0, parentId: strip.deviceId});
+      expect(outlet.sysInfo).to.not.have.property('children');
+      expect(outlet.supportsConsumption).to.be.true;
+    });
+  });
+
+  it('should find outlets by index, child id and alias', function () {
+    let outlet = strip.outlets[2];
+    expect(strip.getOutlet(2)).to.equal(outlet);
+    expect(strip.getOutlet(outlet.childId)).to.equal(outlet);
+    expect(strip.getOutlet('02')).to.equal(outlet);
+    expect(strip.getOutlet('Fake Outlet 3')).to.equal(outlet);
+    expect(strip.getOutlet('nope')).to.be.undefined;
+  });
+
+  describe('Outlet', function () {
+    let outlet;
+
+    beforeEach(function () {
+      outlet = strip.outlets[1];
+    });
+
+    it('should switch only its own relay', async function () {
+      await outlet.setPowerState(true);
+      expect(fake.state.sysInfo.children.map((c) => c.state)).to.eql([0, 1, 0, 0, 0, 0]);
+      expect(fake.requests[fake.requests.length - 1].request.context).to.eql({child_ids: [outlet.childId]});
+      expect(await outlet.getPowerState()).to.be.true;
+      expect(await strip.outlets[0].getPowerState()).to.be.false;
+    });
+
+    it('should set its own alias', async function () {
+      await outlet.setAlias('lamp');
+      expect(fake.state.sysInfo.children[1].alias).to.eql('lamp');
+      expect(fake.state.sysInfo.alias).to.eql('Fake Strip');
+      await outlet.getSysInfo();
+      expect(outlet.name).to.eql('lamp');
+    });
+
+    it('should get its own consumption', async function () {
+      fake.state.emeter.childRealtime[outlet.childId].power_mw = 12500;
+      let consumption = await outlet.getConsumption();
+      expect(consumption).to.include({power_mw: 12500, power: 12.5});
+      expect(await strip.outlets[0].getConsumption()).to.include({power: 0});
+    });
+
+    it('should emit plug events when the strip is updated', async function () {
+      let events = [];
+      outlet.on('power-on', () => events.push('power-on'));
+      outlet.on('power-off', () => events.push('power-off'));
+      strip.outlets[0].on('power-on', () => events.push('other power-on'));
+
+      await strip.getSysInfo();
+      fake.state.sysInfo.children[1].state = 1;
+      await strip.getSysInfo();
+      expect(events).to.eql(['power-off', 'power-on']);
+    });
+
+    it('should reject commands for an outlet the strip does not have', function () {
+      outlet.childId = `${strip.deviceId}99`;
+      return expect(outlet.setPowerState(true)).to.eventually.be.rejectedWith(Hs100Api.ResponseError);
+    });
+  });
+
+  it('should switch every outlet', async function () {
+    let powerOn = [];
+    strip.outlets.forEach((outlet) => outlet.on('power-on', () => powerOn.push(outlet)));
+    await strip.setPowerState(true);
+    expect(fake.state.sysInfo.children.every((c) => c.state === 1)).to.be.true;
+    expect(powerOn).to.have.lengthOf(6);
+    expect(await strip.getPowerState()).to.be.true;
+    await strip.setPowerState(false);
+    expect(await strip.getPowerState()).to.be.false;
+  });
+
+  describe('#getInfo()', function () {
+    it('should get sysInfo and the consumption of each outlet', async function () {
+      fake.state.emeter.childRealtime[strip.outlets[3].childId].power_mw = 7000;
+      let info = await strip.getInfo();
+      expect(info.sysInfo).to.have.property('children').with.lengthOf(6);
+      expect(info.outlets).to.have.lengthOf(6);
+      expect(info.outlets[3]).to.include({childId: strip.outlets[3].childId});
+      expect(info.outlets[3].consumption).to.include({power: 7});
+      let contexts = fake.requests.filter((r) => r.request.emeter).map((r) => r.request.context.child_ids[0]);
+      expect(contexts).to.eql(strip.outlets.map((outlet) => outlet.childId));
+    });
+
+    it('should not request consumption without emeter', async function () {
+      let kp303 = await new FakeDevice({type: 'strip', model: 'KP303(US)'}).start();
+      try {
+        let device = await client.getDevice({host: kp303.address, port: kp303.port});
+        let info = await device.getInfo();
+        expect(info.outlets).to.have.lengthOf(3);
+        expect(info.outlets[0].consumption).to.be.undefined;
+        expect(kp303.requests.filter((r) => r.request.emeter)).to.be.empty;
+      } finally {
+        await kp303.stop();
+      }
+    });
+
+    it('should only send per-outlet modules for an outlet', async function () {
+      let outlet = strip.outlets[1];
+      fake.state.emeter.childRealtime[outlet.childId].power_mw = 5000;
+      let requestCount = fake.requests.length;
+      let info = await outlet.getInfo();
+      expect(info.sysInfo).to.include({deviceId: outlet.childId});
+      expect(info.consumption).to.include({power: 5});
+      expect(fake.requests.slice(requestCount).map((r) => r.request)).to.eql([
+        {system: {get_sysinfo: {}}},
+        {context: {child_ids: [outlet.childId]}, emeter: {get_realtime: {}}}
+      ]);
+    });
+
+    it('should reject emeter methods on the strip itself without sending', async function () {
+      let requestCount = fake.requests.length;
+      expect(strip.supports('emeter')).to.be.false;
+      expect(strip.outlets[0].supports('emeter')).to.be.true;
+      await expect(strip.getConsumption()).to.eventually.be.rejectedWith(CapabilityError, /emeter/);
+      await expect(strip.getDayStats(2018, 1)).to.eventually.be.rejectedWith(CapabilityError, /emeter/);
+      expect(fake.requests).to.have.lengthOf(requestCount);
+    });
+
+    it('should drive outlet events when polling', async function () {
+      let outlet = strip.outlets[2];
+      let events = [];
+      outlet.on('power-on', () => events.push('power-on'));
+      outlet.on('in-use', () => events.push('in-use'));
+      fake.state.sysInfo.children[2].state = 1;
+      fake.state.emeter.childRealtime[outlet.childId].power_mw = 20000;
+      strip.startPolling(50);
+      try {
+        await new Promise((resolve) => outlet.once('in-use', resolve));
+      } finally {
+        strip.stopPolling();
+      }
+      expect(events).to.include.members(['power-on', 'in-use']);
+    });
+  });
+
+  it('should create outlets without emeter for KP303', async function () {
+    let kp303 = await new FakeDevice({type: 'strip', model: 'KP303(US)'}).start();
+    try {
+      let device = await client.getDevice({host: kp303.address, port: kp303.port});
+      expect(device.outlets).to.have.lengthOf(3);
+      expect(device.outlets[0].supportsConsumption).to.be.false;
+    } finally {
+      await kp303.stop();
+    }
+  });
+
+  it('should emit outlets on discovery', function (done) {
+    let newOutlets = [];
+    let stripId = fake.state.sysInfo.deviceId;
+    client.on('powerstrip-new', (device) => {
+      if (device.deviceId !== stripId) return;
+      expect(newOutlets).to.be.empty;
+    });
+    client.on('plug-new', (outlet) => {
+      if (outlet.sysInfo.parentId !== stripId) return;
+      expect(outlet).to.be.an.instanceof(Outlet);
+      expect(outlet.status).to.eql('online');
+      newOutlets.push(outlet);
+      if (newOutlets.length === 6) done();
+    });
+    client.startDiscovery({broadcast: '127.255.255.255', devices: [{host: fake.address, port: fake.port}], discoveryInterval: 100});
+  });
+});
@@ -0,0 +1,139 @@
+/* eslint-env mocha */
+/* global testDevices */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const Hs100Api = require('../src');
+const Client = Hs100Api.Client;
+const Recording = Hs100Api.Recording;
+
+describe('Recording', function () {
+  this.timeout(5000);
+  this.slow(2000);
+
+  let file;
+  let options;
+
+  before(function () {
+    options = testDevices['anydevice'].options;
+  });
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), `hs100-api-recording-${process.pid}-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  describe('recordTo', function () {
+    it('should write requests and responses to file', async function () {
+      let client = new Client({recordTo: file});
+      let sysInfo = await client.getSysInfo(options);
+      await client.recording.save();
+
+      let fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(fixture.entries).to.have.lengthOf(1);
+      let entry = fixture.entries[0];
+      expect(entry).to.include({host: options.host, port: options.port, request: '{"system":{"get_sysinfo":{}}}'});
+      expect(entry.latency).to.be.a('number');
+      expect(JSON.parse(entry.response).system.get_sysinfo).to.eql(sysInfo);
+    });
+
+    it('should record errors', async function () {
+      let server = await new Promise((resolve) => {
+        let s = net.createServer((socket) => socket.on('error', () => {}));
+        s.listen(0, '127.0.0.1', () => resolve(s));
+      });
+      let client = new Client({recordTo: file});
+      await expect(client.send({host: '127.0.0.1', port: server.address().port, payload: '{}', timeout: 50}))
+        .to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+      server.close();
+      await client.recording.save();
+
+      let fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(fixture.entries[0].error).to.include({name: 'TimeoutError', code: 'ETIMEDOUT'});
+      expect(fixture.entries[0]).to.not.have.property('response');
+    });
+  });
+
+  describe('replayFrom', function () {
+    const host = '10.0.0.1';
+    const port = 9999;
+    let recording;
+
+    beforeEach(function () {
+      recording = new Recording({entries: [
+        {host, port, request: '{"system":{"get_sysinfo":{}}}', response: '{"system":{"get_sysinfo":{"err_code":0,"alias":"first"}}}', latency: 10},
+        {host, port, request: '{"system":{"get_sysinfo":{}}}', response: '{"system":{"get_sysinfo":{"err_code":0,"alias":"second"}}}', latency: 10},
+        {host, port, request: '{"emeter":{"get_realtime":{}},"system":{"get_sysinfo":{}}}', response: '{"emeter":{"get_realtime":{"err_code":0}},"system":{"get_sysinfo":{"err_code":0}}}', latency: 10},
+        {host, port, request: '{"system":{"get_time":{}}}', error: {name: 'TimeoutError', message: 'timeout', code: 'ETIMEDOUT'}, latency: 100},
+        {host, port, request: '{"system":{"reboot":{}}}', error: {name: 'ConnectionError', message: 'socket error', code: 'ECONNRESET'}, latency: 1}
+      ]});
+    });
+
+    it('should replay a recorded file', async function () {
+      let recordingClient = new Client({recordTo: file});
+      let sysInfo = await recordingClient.getSysInfo(options);
+      await recordingClient.recording.save();
+
+      let client = new Client({replayFrom: file});
+      expect(await client.getSysInfo(options)).to.eql(sysInfo);
+    });
+
+    it('should replay repeated requests in order, then repeat the last', async function () {
+      let client = new Client({replayFrom: recording});
+      let aliases = [];
+      for (let i = 0; i < 3; i++) {
+        aliases.push((await client.getSysInfo({host, port})).alias);
+      }
+      expect(aliases).to.eql(['first', 'second', 'second']);
+    });
+
+    it('should match payloads regardless of key order', function () {
+      let client = new Client({replayFrom: recording});
+      return expect(client.send({host, port, payload: {system: {get_sysinfo: {}}, emeter: {get_realtime: {}}}}))
+        .to.eventually.have.nested.property('emeter.get_realtime.err_code', 0);
+    });
+
+    it('should reject unmatched requests', async function () {
+      let client = new Client({replayFrom: recording});
+      await expect(client.send({host, port, payload: '{"system":{"get_led":{}}}'})).to.eventually.be.rejectedWith(/no recorded response/);
+      await expect(client.send({host: '10.0.0.2', port, payload: '{"system":{"get_sysinfo":{}}}'})).to.eventually.be.rejectedWith(/no recorded response/);
+      expect(recording.unmatched).to.have.lengthOf(2);
+    });
+
+    it('should replay errors', async function () {
+      let client = new Client({replayFrom: recording});
+      let err = await expect(client.send({host, port, payload: '{"system":{"reboot":{}}}'})).to.eventually.be.rejectedWith(Hs100Api.ConnectionError);
+      expect(err).to.include({code: 'ECONNRESET', host});
+    });
+
+    it('should replay timeouts after timeout with replayLatency', async function () {
+      let client = new Client({replayFrom: recording, replayLatency: true});
+      let start = Date.now();
+      let err = await expect(client.send({host, port, payload: '{"system":{"get_time":{}}}', timeout: 50}))
+        .to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+      expect(err).to.include({timeout: 50});
+      expect(Date.now() - start).to.be.at.least(45);
+    });
+
+    it('should replay timeouts immediately by default', async function () {
+      let client = new Client({replayFrom: recording});
+      let start = Date.now();
+      await expect(client.send({host, port, payload: '{"system":{"get_time":{}}}', timeout: 1000}))
+        .to.eventually.be.rejectedWith(Hs100Api.TimeoutError);
+      expect(Date.now() - start).to.be.below(500);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const createScheduleRule = require('../src').createScheduleRule;
+const parseScheduleRule = require('../src').parseScheduleRule;
+const createAwayRule = require('../src').createAwayRule;
+const parseAwayRule = require('../src').parseAwayRule;
+
+describe('schedule', function () {
+  describe('createScheduleRule()', function () {
+    it('should convert "HH:MM" and days of week', function () {
+      let rule = createScheduleRule({name: 'weekdays', start: '06:45', daysOfWeek: ['Monday', 'tue', 3, 4, 5], powerState: true});
+      expect(rule).to.include({name: 'weekdays', enable: 1, stime_opt: 0, smin: 405, sact: 1, repeat: 1, etime_opt: -1, eact: -1});
+      expect(rule.wday).to.eql([0, 1, 1, 1, 1, 1, 0]);
+    });
+
+    it('should convert a Date to a rule that runs once', function () {
+      let rule = createScheduleRule({start: new Date(2017, 11, 24, 18, 5), powerState: false});
+      expect(rule).to.include({stime_opt: 0, smin: 1085, sact: 0, repeat: 0, year: 2017, month: 12, day: 24});
+      expect(rule.wday).to.eql([1, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should convert a Date in the device time zone', function () {
+      // 2017-12-24 23:30 UTC is 2017-12-25 08:30 in Tokyo
+      let rule = createScheduleRule({start: new Date(Date.UTC(2017, 11, 24, 23, 30)), powerState: true, timeZone: 'Asia/Tokyo'});
+      expect(rule).to.include({smin: 510, repeat: 0, year: 2017, month: 12, day: 25});
+      expect(rule.wday).to.eql([0, 1, 0, 0, 0, 0, 0]);
+      expect(rule).to.not.have.property('timeZone');
+    });
+
+    it('should convert sunrise and sunset offsets', function () {
+      expect(createScheduleRule({start: {sunrise: 30}, daysOfWeek: [0], powerState: true})).to.include({stime_opt: 1, soffset: 30});
+      expect(createScheduleRule({start: {sunset: -10}, daysOfWeek: [0], powerState: true})).to.include({stime_opt: 2, soffset: -10});
+    });
+
+    it('should convert light state', function () {
+      let rule = createScheduleRule({start: '22:00', daysOfWeek: [6], lightState: {on_off: 1, brightness: 10}, enable: false});
+      expect(rule).to.include({sact: 2, enable: 0});
+      expect(rule.s_light).to.eql({on_off: 1, brightness: 10});
+    });
+
+    it('should throw on invalid input', function () {
+      expect(() => createScheduleRule({start: '7am', powerState: true})).to.throw(TypeError);
+      expect(() => createScheduleRule({start: '24:00', powerState: true})).to.throw(RangeError);
+      expect(() => createScheduleRule({start: {sunrise: 1.5}, powerState: true})).to.throw(RangeError);
+      expect(() => createScheduleRule({start: {}, powerState: true})).to.throw(TypeError);
+      expect(() => createScheduleRule({start: '07:00', daysOfWeek: [7], powerState: true})).to.throw(RangeError);
+      expect(() => createScheduleRule({start: '07:00', daysOfWeek: [], powerState: true})).to.throw(TypeError);
+      expect(() => createScheduleRule({start: '07:00'})).to.throw(TypeError);
+      expect(() => createScheduleRule({start: '07:00', powerState: true, lightState: {}})).to.throw(TypeError);
+    });
+  });
+
+  describe('parseScheduleRule()', function () {
+    it('should convert repeating rules back', function () {
+      let input = {name: 'r', enable: true, start: '06:45', daysOfWeek: [1, 2], powerState: true};
+      let parsed = parseScheduleRule(Object.assign({id: 'ABC'}, createScheduleRule(input)));
+      expect(parsed).to.eql(Object.assign({id: 'ABC'}, input));
+    });
+
+    it('should convert sunset and light state rules back', function () {
+      let input = {name: 'r', enable: false, start: {sunset: -10}, daysOfWeek: [0, 6], lightState: {on_off: 0}};
+      expect(parseScheduleRule(createScheduleRule(input))).to.include({enable: false})
+        .and.to.deep.include({start: {sunset: -10}, daysOfWeek: [0, 6], lightState: {on_off: 0}});
+    });
+
+    it('should convert rules that run once back to a Date', function () {
+      let start = new Date(2017, 11, 24, 18, 5);
+      expect(parseScheduleRule(createScheduleRule({start, powerState: false})).start).to.eql(start);
+    });
+  });
+
+  describe('createAwayRule()', function () {
+    it('should convert start, end, days and frequency', function () {
+      let rule = createAwayRule({name: 'vacation', start: '18:00', end: '23:30', daysOfWeek: ['sat', 'sun'], frequency: 3});
+      expect(rule).to.include({name: 'vacation', enable: 1, stime_opt: 0, smin: 1080, etime_opt: 0, emin: 1410, frequency: 3, repeat: 1});
+      expect(rule.wday).to.eql([1, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should convert Dates in the device time zone', function () {
+      let rule = createAwayRule({
+        start: new Date(Date.UTC(2017, 6, 1, 22, 0)),
+        end: new Date(Date.UTC(2017, 6, 2, 3, 15)),
+        timeZone: 'America/New_York'
+      });
+      expect(rule).to.include({smin: 1080, emin: 1395, repeat: 0, year: 2017, month: 7, day: 1});
+      expect(rule.wday).to.eql([0, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should convert sunset start', function () {
+      expect(createAwayRule({start: {sunset: 0}, end: '23:00', daysOfWeek: [1]})).to.include({stime_opt: 2, soffset: 0, etime_opt: 0, emin: 1380, frequency: 5});
+    });
+
+    it('should throw on invalid input', function () {
+      expect(() => createAwayRule({start: '18:00', daysOfWeek: [1]})).to.throw(TypeError);
+      expect(() => createAwayRule({start: '18:00', end: '17:00', daysOfWeek: [1]})).to.throw(RangeError, /after start/);
+      expect(() => createAwayRule({start: '18:00', end: '19:00', daysOfWeek: [1], frequency: 0})).to.throw(RangeError);
+      expect(() => createAwayRule({start: '18:00', end: '19:00', daysOfWeek: [1], frequency: 11})).to.throw(RangeError);
+      expect(() => createAwayRule({start: '18:00', end: '7pm', daysOfWeek: [1]})).to.throw(TypeError, /end/);
+    });
+  });
+
+  describe('parseAwayRule()', function () {
+    it('should convert repeating rules back', function () {
+      let input = {name: 'r', enable: true, start: {sunset: -30}, end: '23:00', daysOfWeek: [5, 6], frequency: 7};
+      expect(parseAwayRule(Object.assign({id: 'ABC'}, createAwayRule(input)))).to.eql(Object.assign({id: 'ABC'}, input));
+    });
+
+    it('should convert rules that run once back to Dates', function () {
+      let start = new Date(2017, 11, 24, 18, 5);
+      let end = new Date(2017, 11, 24, 22, 0);
+      let parsed = parseAwayRule(createAwayRule({start, end}));
+      expect(parsed.start).to.eql(start);
+      expect(parsed.end).to.eql(end);
+    });
+  });
+});
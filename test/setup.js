@@ -7,6 +7,7 @@ require('dotenv').config();
 const simulator = require('tplink-smarthome-simulator');
 
 const Client = require('../src').Client;
+const FakeDevice = require('../src/testing').FakeDevice;
 
 const clientOptions = { logLevel: process.env.TEST_CLIENT_LOGLEVEL };
 
@@ -99,7 +100,29 @@ async function getSimulatedTestDevices () {
   return Promise.all(testDevices);
 }
 
+/**
+ * Adds `beforeEach`/`afterEach` hooks to the current suite that start a FakeDevice with `fakeOptions`, create a client
+ * and get the device from it, and stop them afterwards. `assign` is called with `{client, fake, device}` before each test.
+ */
+function useFakeDevice (fakeOptions, assign) {
+  let setup;
+
+  beforeEach(async function () {
+    let client = new Client(clientOptions);
+    let fake = await new FakeDevice(fakeOptions).start();
+    let device = await client.getDevice({host: fake.address, port: fake.port});
+    setup = {client, fake, device};
+    assign(setup);
+  });
+
+  afterEach(function () {
+    setup.client.stopDiscovery();
+    return setup.fake.stop();
+  });
+}
+
 global.getTestClient = getTestClient;
+global.useFakeDevice = useFakeDevice;
 
 global.testDevices = [
   { model: 'hs100', type: 'plug', name: 'HS100(plug)' },
@@ -0,0 +1,97 @@
+/* eslint-env mocha */
+/* eslint no-unused-expressions: ["off"] */
+
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const timeZoneToIndex = require('../src').timeZoneToIndex;
+const indexToTimeZone = require('../src').indexToTimeZone;
+const dateToTimeFields = require('../src/timezone').dateToTimeFields;
+const timeFieldsToDate = require('../src/timezone').timeFieldsToDate;
+
+describe('timezone', function () {
+  describe('timeZoneToIndex()', function () {
+    it('should find zones in the table', function () {
+      expect(timeZoneToIndex('Etc/GMT+12')).to.eql(0);
+      expect(timeZoneToIndex('America/Los_Angeles')).to.eql(6);
+      expect(timeZoneToIndex('Europe/London')).to.eql(38);
+      expect(timeZoneToIndex('Asia/Tokyo')).to.eql(89);
+    });
+
+    it('should resolve aliases', function () {
+      expect(timeZoneToIndex('US/Pacific')).to.eql(6);
+      expect(timeZoneToIndex('Asia/Calcutta')).to.eql(74);
+    });
+
+    it('should map other zones to an index with the same offsets', function () {
+      expect(indexToTimeZone(timeZoneToIndex('Europe/Berlin'))).to.eql('Europe/Amsterdam');
+      expect(indexToTimeZone(timeZoneToIndex('America/Detroit'))).to.eql('America/New_York');
+    });
+
+    it('should throw on unknown zones', function () {
+      expect(() => timeZoneToIndex('Mars/Olympus_Mons')).to.throw(RangeError);
+      expect(() => timeZoneToIndex('Pacific/Chatham')).to.throw(RangeError);
+    });
+  });
+
+  describe('indexToTimeZone()', function () {
+    it('should return the zone for an index', function () {
+      expect(indexToTimeZone(17)).to.eql('America/New_York');
+      expect(indexToTimeZone(108)).to.eql('Etc/GMT-14');
+    });
+
+    it('should map every zone back to its index or an earlier duplicate', function () {
+      for (let i = 0; i <= 108; i++) {
+        expect(timeZoneToIndex(indexToTimeZone(i)), `index ${i}`).to.be.at.most(i);
+      }
+      expect(timeZoneToIndex(indexToTimeZone(32))).to.eql(25);
+    });
+
+    it('should throw on invalid index', function () {
+      expect(() => indexToTimeZone(-1)).to.throw(RangeError);
+      expect(() => indexToTimeZone(109)).to.throw(RangeError);
+      expect(() => indexToTimeZone(1.5)).to.throw(RangeError);
+    });
+  });
+
+  describe('dateToTimeFields()', function () {
+    it('should convert to local time in a zone', function () {
+      let date = new Date(Date.UTC(2017, 0, 15, 23, 30, 45));
+      expect(dateToTimeFields(date, 'Asia/Tokyo')).to.eql({year: 2017, month: 1, mday: 16, hour: 8, min: 30, sec: 45});
+      expect(dateToTimeFields(date, 'Etc/UTC')).to.eql({year: 2017, month: 1, mday: 15, hour: 23, min: 30, sec: 45});
+    });
+
+    it('should convert midnight and afternoon hours', function () {
+      expect(dateToTimeFields(new Date(Date.UTC(2020, 0, 1, 0, 30)), 'Etc/UTC')).to.eql({year: 2020, month: 1, mday: 1, hour: 0, min: 30, sec: 0});
+      expect(dateToTimeFields(new Date(Date.UTC(2020, 0, 1, 15, 5, 7)), 'Asia/Tokyo')).to.eql({year: 2020, month: 1, mday: 2, hour: 0, min: 5, sec: 7});
+      expect(dateToTimeFields(new Date(Date.UTC(2020, 6, 1, 19, 45, 1)), 'America/New_York')).to.eql({year: 2020, month: 7, mday: 1, hour: 15, min: 45, sec: 1});
+    });
+
+    it('should convert to local time', function () {
+      let date = new Date(2017, 6, 4, 0, 5, 6);
+      expect(dateToTimeFields(date)).to.eql({year: 2017, month: 7, mday: 4, hour: 0, min: 5, sec: 6});
+    });
+  });
+
+  describe('timeFieldsToDate()', function () {
+    it('should convert from local time in a zone', function () {
+      expect(timeFieldsToDate({year: 2017, month: 1, mday: 16, hour: 8, min: 30, sec: 45}, 'Asia/Tokyo'))
+        .to.eql(new Date(Date.UTC(2017, 0, 15, 23, 30, 45)));
+      expect(timeFieldsToDate({year: 2017, month: 7, mday: 4, hour: 12, min: 0, sec: 0}, 'America/New_York'))
+        .to.eql(new Date(Date.UTC(2017, 6, 4, 16, 0, 0)));
+    });
+
+    it('should convert times near a DST change', function () {
+      expect(timeFieldsToDate({year: 2017, month: 3, mday: 12, hour: 1, min: 59, sec: 59}, 'America/New_York'))
+        .to.eql(new Date(Date.UTC(2017, 2, 12, 6, 59, 59)));
+      expect(timeFieldsToDate({year: 2017, month: 3, mday: 12, hour: 3, min: 0, sec: 0}, 'America/New_York'))
+        .to.eql(new Date(Date.UTC(2017, 2, 12, 7, 0, 0)));
+    });
+
+    it('should convert from local time', function () {
+      expect(timeFieldsToDate({year: 2017, month: 7, mday: 4, hour: 0, min: 5, sec: 6})).to.eql(new Date(2017, 6, 4, 0, 5, 6));
+    });
+  });
+});